@@ -0,0 +1,222 @@
+// backend/api.js
+const express = require('express');
+const { toM3U, toXSPF, toCSV, historyRows, historyJSON, IMPORT_FORMATS, parsePlaylist } = require('./playlistFormats');
+const { normalizeLink } = require('./links');
+const { publicProfile, profileStats } = require('./profiles');
+const { seasonPayload } = require('./seasons');
+const { publicGames } = require('./lobby');
+const { archivedGame, latestArchived, archiveSummaries, profileGameEntries } = require('./archive');
+const { publicSettings } = require('./settings');
+
+/* -----------------------
+   Read-only HTTP API (nothing here changes a game)
+   ----------------------- */
+
+/**
+ * Who has done their part in the current phase: playlists during submission,
+ * eliminations during a round, ballots during the final vote.
+ */
+function progressPayload(game, helpers) {
+  const active = game.players.filter(p => !p.departed);
+
+  if (game.gamePhase === 'submission') {
+    const submitted = new Set(game.playlists.map(pl => pl.alias));
+    return {
+      submitted: active.filter(p => submitted.has(p.alias)).map(p => p.alias),
+      waitingOn: active.filter(p => !submitted.has(p.alias)).map(p => p.alias)
+    };
+  }
+
+  if (game.gamePhase?.startsWith('elimination')) {
+    const assigned = active.filter(p => game.assignedPlaylists?.[p.alias] !== undefined);
+    return {
+      submitted: assigned.filter(p => p.hasSubmittedElimination).map(p => p.alias),
+      waitingOn: assigned.filter(p => !p.hasSubmittedElimination).map(p => p.alias)
+    };
+  }
+
+  if (game.gamePhase === 'final_mix') return helpers.votesPayload(game);
+  return null;
+}
+
+/**
+ * A game's state for anyone allowed to see it (the password is checked first for protected games).
+ * Never includes socket ids, the password, the assignment seed or individual ballots.
+ */
+function publicStatePayload(game, gameId, helpers) {
+  return {
+    gameId,
+    // Set for games that expired into the archive (see archive.js)
+    archived: game.status ? { status: game.status, archivedAt: game.archivedAt } : null,
+    gamePhase: game.gamePhase,
+    round: game.currentRound,
+    maxRounds: game.maxRounds,
+    ...helpers.playersPayload(game),
+    passwordProtected: !!game.password,
+    settings: publicSettings(game.settings),
+    ...helpers.deadlinePayload(game),
+    progress: progressPayload(game, helpers),
+    assignedPlaylists: game.assignedPlaylists,
+    playlists: game.playlists,
+    finalMix: game.finalMix
+  };
+}
+
+const PLAYLIST_FORMATS = {
+  m3u: { type: 'audio/x-mpegurl', build: toM3U },
+  xspf: { type: 'application/xspf+xml', build: toXSPF }
+};
+
+/**
+ * Password-protected games need ?password= or an X-Game-Password header.
+ */
+function requirePassword(req, res, next) {
+  const password = req.get('x-game-password') ?? req.query.password;
+  if (req.game.password && req.game.password !== password) {
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+  next();
+}
+
+/**
+ * Exports only exist once the game is over (finished normally or ended by the host).
+ */
+function requireGameOver(req, res, next) {
+  if (req.game.gamePhase !== 'finished' && req.game.gamePhase !== 'ended') {
+    return res.status(409).json({ error: 'The game is not over yet', gamePhase: req.game.gamePhase });
+  }
+  next();
+}
+
+function sendPlaylist(res, format, title, songs, filename) {
+  const fmt = PLAYLIST_FORMATS[format];
+  if (!fmt) return res.status(400).json({ error: `Unknown playlist format "${format}" (use m3u or xspf)` });
+  res.attachment(`${filename}.${format}`).type(fmt.type).send(fmt.build(title, songs));
+}
+
+/**
+ * Routes (mounted under /api):
+ *  - GET /games                  public games that aren't over, for the lobby browser
+ *  - GET /games/:gameId          state: phase, round, players, progress, playlists with eliminationLog
+ *    (password needed for protected games)
+ *  - GET /games/:gameId/results  final results (password needed for protected games)
+ *  - GET /games/:gameId/export/final-mix.(m3u|xspf)          the final mix as a playlist file
+ *  - GET /games/:gameId/export/playlists/:index.(m3u|xspf)   a submitted playlist, every song in its original order
+ *  - GET /games/:gameId/export/history.(csv|json)            every song with its elimination and final-vote record
+ *  Exports need the game to be over, and the password for protected games. Once a game has expired,
+ *  these routes serve the most recent archived game with that ID, read-only.
+ *  - GET /archive/:gameId              every archived game that used this ID (summaries)
+ *  - GET /archive/:gameId/:run         one archived game's full history (password needed for protected games)
+ *  - POST /playlists/parse  { text, format? } -> { format, songs }: preview of a pasted or uploaded playlist,
+ *    parsed exactly the way submitPlaylist parses raw text; links come back canonical, or with a linkError
+ *  - GET /profiles/:profileId  a player profile and its lifetime stats from finished games
+ *  - GET /seasons/:seasonId    a season's roster, scoring rules, games and standings (password needed
+ *    for protected seasons, like games)
+ *
+ * helpers: { playersPayload, deadlinePayload, votesPayload, profiles, seasons, archive } from index.js, so the API
+ * describes a game exactly the way the socket events do.
+ */
+function createApiRouter(games, helpers) {
+  const router = express.Router();
+
+  router.post('/playlists/parse', (req, res) => {
+    const { text, format = 'auto' } = req.body || {};
+    if (typeof text !== 'string') return res.status(400).json({ error: 'Send the playlist as { text }' });
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format "${format}" (use ${IMPORT_FORMATS.join(', ')})` });
+    }
+    const parsed = parsePlaylist(text, format);
+    const songs = parsed.songs.map(song => {
+      const { error, link } = normalizeLink(song.link);
+      return error ? { ...song, linkError: error } : { ...song, link };
+    });
+    res.json({ format: parsed.format, songs });
+  });
+
+  router.get('/profiles/:profileId', (req, res) => {
+    const profile = helpers.profiles[req.params.profileId];
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+    res.json({ profile: publicProfile(profile), stats: profileStats(profile.id, profileGameEntries(profile.id, games, helpers.archive), helpers.profiles) });
+  });
+
+  router.get('/seasons/:seasonId', (req, res) => {
+    const season = helpers.seasons[req.params.seasonId];
+    if (!season) return res.status(404).json({ error: 'Season not found' });
+    const password = req.get('x-game-password') ?? req.query.password;
+    if (season.password && season.password !== password) return res.status(401).json({ error: 'Invalid password' });
+    res.json(seasonPayload(season));
+  });
+
+  router.get('/archive/:gameId', (req, res) => {
+    const summaries = archiveSummaries(helpers.archive, req.params.gameId);
+    if (summaries.length === 0) return res.status(404).json({ error: 'No archived games with that ID' });
+    res.json({ games: summaries });
+  });
+
+  router.get('/archive/:gameId/:run', (req, res, next) => {
+    const record = archivedGame(helpers.archive, req.params.gameId, Number(req.params.run));
+    if (!record) return res.status(404).json({ error: 'Archived game not found' });
+    req.game = record;
+    next();
+  }, requirePassword, (req, res) => {
+    res.json({ status: req.game.status, archivedAt: req.game.archivedAt, ...historyJSON(req.game, req.params.gameId) });
+  });
+
+  router.param('gameId', (req, res, next, gameId) => {
+    const game = games[gameId] || latestArchived(helpers.archive, gameId);
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    req.game = game;
+    next();
+  });
+
+  router.get('/games', (req, res) => {
+    res.json({ games: publicGames(games) });
+  });
+
+  router.get('/games/:gameId', requirePassword, (req, res) => {
+    res.json(publicStatePayload(req.game, req.params.gameId, helpers));
+  });
+
+  router.get('/games/:gameId/results', requirePassword, (req, res) => {
+    const game = req.game;
+    if (!game.finalResults) {
+      return res.status(409).json({ error: 'Results are not in yet', gamePhase: game.gamePhase });
+    }
+
+    res.json({
+      gameId: req.params.gameId,
+      gamePhase: game.gamePhase,
+      ...game.finalResults,
+      finalMix: game.finalMix,
+      playlists: game.playlists
+    });
+  });
+
+  router.get('/games/:gameId/export/final-mix.:format', requirePassword, requireGameOver, (req, res) => {
+    const { gameId, format } = req.params;
+    if (!req.game.finalMix?.length) return res.status(404).json({ error: 'This game never reached the final mix' });
+    sendPlaylist(res, format, `${gameId} — Final Mix`, req.game.finalMix.map(entry => entry.song), `${gameId}-final-mix`);
+  });
+
+  router.get('/games/:gameId/export/playlists/:index.:format', requirePassword, requireGameOver, (req, res) => {
+    const { gameId, index, format } = req.params;
+    const playlist = req.game.playlists[Number(index)];
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    sendPlaylist(res, format, `${gameId} — ${playlist.alias}'s playlist`, playlist.songs, `${gameId}-${playlist.alias}`);
+  });
+
+  router.get('/games/:gameId/export/history.:format', requirePassword, requireGameOver, (req, res) => {
+    const { gameId, format } = req.params;
+    if (format === 'csv') {
+      return res.attachment(`${gameId}-history.csv`).type('text/csv').send(toCSV(historyRows(req.game)));
+    }
+    if (format === 'json') {
+      return res.attachment(`${gameId}-history.json`).json(historyJSON(req.game, gameId));
+    }
+    res.status(400).json({ error: `Unknown history format "${format}" (use csv or json)` });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,112 @@
+// backend/archive.js
+const { writeArchivedGame, readArchivedGame } = require('./storage');
+
+/* -----------------------
+   Game expiry and the read-only archive
+   ----------------------- */
+const MINUTE_MS = 60 * 1000;
+
+function isOver(game) {
+  return game.gamePhase === 'finished' || game.gamePhase === 'ended';
+}
+
+/**
+ * When a game leaves memory and what happens to it then, under the expiry rules (LIMITS.expiry):
+ * { action: 'discard' | 'archive', status, expiresAt }. Activity (any request about the game)
+ * pushes idle expiry back; a game that's over goes a fixed time after it ended.
+ * Games saved before expiry existed count from the moment the server loaded them.
+ */
+function expiryPlan(game, rules, now = Date.now()) {
+  const lastActivity = game.lastActivityAt || game.createdAt || now;
+  if (isOver(game)) {
+    return {
+      action: 'archive',
+      status: game.gamePhase,
+      expiresAt: (game.finishedAt || lastActivity) + rules.finishedMinutes * MINUTE_MS
+    };
+  }
+  // A lobby has nothing worth keeping
+  if (game.gamePhase === 'lobby') {
+    return { action: 'discard', status: 'abandoned', expiresAt: lastActivity + rules.lobbyIdleMinutes * MINUTE_MS };
+  }
+  return { action: 'archive', status: 'abandoned', expiresAt: lastActivity + rules.gameIdleMinutes * MINUTE_MS };
+}
+
+// Own keys only: a game ID like "constructor" must not find Object.prototype's
+function entriesFor(index, gameId) {
+  return Object.hasOwn(index, gameId) ? index[gameId] : [];
+}
+
+/**
+ * Move a game into the archive. The full record goes to its own file (see writeArchivedGame in
+ * storage.js); the index keeps { [gameId]: [entry, ...] }, oldest first since a game ID can be used
+ * again once its game has gone, where each entry is a summary plus the record's file name.
+ * Records keep what history needs (playlists, eliminations, votes, chat, results, the password
+ * for protected exports) and drop sockets and session tokens.
+ */
+function archiveGame(index, gameId, game, status) {
+  const strip = ({ id, tokenHash, ...rest }) => rest;
+  const record = {
+    ...game,
+    players: game.players.map(strip),
+    spectators: (game.spectators || []).map(strip),
+    deadline: null,
+    gameId,
+    status, // 'finished' | 'ended' | 'abandoned'
+    archivedAt: Date.now()
+  };
+  const file = `${record.archivedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}.json`;
+  writeArchivedGame(file, record);
+
+  index[gameId] = entriesFor(index, gameId);
+  index[gameId].push({
+    file,
+    status,
+    createdAt: record.createdAt || null,
+    archivedAt: record.archivedAt,
+    players: record.players.map(p => p.alias),
+    // Lets profile stats open only the records a profile played in
+    profileIds: record.players.map(p => p.profileId).filter(Boolean),
+    winners: (record.finalResults?.results || []).map(r => ({ originAlias: r.originAlias, song: r.song })),
+    passwordProtected: !!record.password
+  });
+  return record;
+}
+
+/**
+ * One archived game, read from disk: run counts from 0 for the oldest game with this ID.
+ * Returns null when there is no such run (or its file is gone).
+ */
+function archivedGame(index, gameId, run) {
+  const entry = entriesFor(index, gameId)[run];
+  return entry ? readArchivedGame(entry.file) : null;
+}
+
+/**
+ * The most recent archived game under this ID, or null.
+ */
+function latestArchived(index, gameId) {
+  const entries = entriesFor(index, gameId);
+  return entries.length ? archivedGame(index, gameId, entries.length - 1) : null;
+}
+
+/**
+ * One line per archived game with this ID, for browsing history without downloading everything.
+ */
+function archiveSummaries(index, gameId) {
+  return entriesFor(index, gameId).map(({ file, profileIds, ...summary }, run) => ({ run, gameId, ...summary }));
+}
+
+/**
+ * [gameId, game] for every live game and every finished archived game this profile played in,
+ * for statistics that span all of history. Only those archived records are read from disk.
+ */
+function profileGameEntries(profileId, games, index) {
+  const archived = Object.entries(index).flatMap(([gameId, entries]) => entries
+    .filter(entry => entry.status === 'finished' && entry.profileIds.includes(profileId))
+    .map(entry => [gameId, readArchivedGame(entry.file)])
+    .filter(([, record]) => record));
+  return [...archived, ...Object.entries(games)];
+}
+
+module.exports = { expiryPlan, archiveGame, archivedGame, latestArchived, archiveSummaries, profileGameEntries };
@@ -0,0 +1,179 @@
+// backend/assignment.js
+
+/* -----------------------
+   Playlist assignment strategies
+   ----------------------- */
+
+/**
+ * Every strategy plans the schedule one round at a time:
+ *  1. playlists that still have more than one song left "need a cut"
+ *  2. active players are matched to those playlists by a minimum-cost assignment
+ *     in which a player's own playlist is forbidden
+ *  3. the strategy only decides the costs — which allowed pairing it prefers
+ *
+ * Because own playlists are excluded by the matching itself (not by the strategy's
+ * formula), nobody is ever assigned their own playlist, for any number of players
+ * from two up and any number of rounds. With a full roster a derangement always
+ * exists, so every player gets a playlist every round.
+ */
+const STRATEGIES = ['rotation', 'random', 'balanced'];
+
+// Cost tiers: playlists with more songs left are served first, then the strategy's
+// preference decides. Leaving a player idle (dummy) is worse than any real pairing,
+// and a forbidden pairing is worse than idling.
+const PRIORITY_WEIGHT = 1e6;
+const DUMMY_COST = 1e9;
+const FORBIDDEN_COST = 1e12;
+
+/**
+ * Small deterministic PRNG (mulberry32) seeded from any string or number,
+ * so a seeded schedule can be rebuilt identically after a restart.
+ */
+function createRng(seed) {
+  let h = 1779033703;
+  for (const ch of String(seed ?? '')) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return function next() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hungarian algorithm (Kuhn–Munkres) on a square cost matrix.
+ * Returns rowToCol: the column assigned to each row at minimum total cost.
+ */
+function solveAssignment(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0); // p[col] = row matched to col (1-based)
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+        else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const rowToCol = new Array(n);
+  for (let j = 1; j <= n; j++) rowToCol[p[j] - 1] = j - 1;
+  return rowToCol;
+}
+
+/**
+ * Strategy preference for player → playlist in a given round (lower = preferred).
+ *  - rotation: each round shifts everyone by one more seat (offset 1..N-1, then repeats)
+ *  - random: seeded random pairings, a fresh random derangement every round
+ *  - balanced: prefer the eliminator who has cut from this playlist the least so far
+ */
+function preferenceCost(strategy, { player, playlist, round, owners, playerCount, pairCounts, rng }) {
+  const seat = owners[playlist] ?? playlist;
+  const offset = playerCount > 1 ? (round % (playerCount - 1)) + 1 : 0;
+  const rotation = (((seat - player - offset) % playerCount) + playerCount) % playerCount;
+
+  if (strategy === 'random') return rng();
+  if (strategy === 'balanced') return (pairCounts[player][playlist] || 0) * 1000 + rotation;
+  return rotation;
+}
+
+/**
+ * Plan assignment rows from round index fromRound until every playlist is down to one song.
+ *
+ * Options:
+ *  - strategy: one of STRATEGIES (unknown values fall back to 'rotation')
+ *  - seed: seed for the 'random' strategy
+ *  - playerCount: number of seats (game.players.length); rows are indexed by seat
+ *  - active: seat indexes still taking part (departed players are left out)
+ *  - owners: owners[playlistIndex] = seat index of the playlist's owner
+ *  - remaining: songs left per playlist when fromRound starts
+ *  - eliminationsPerRound: songs cut from an assigned playlist per round
+ *  - fromRound: 0-based round index the rows start at
+ *  - pastRows: rows already played (used by 'balanced' to keep spreading evenly)
+ *
+ * Returns an array of rows; row[seat] is a playlist index or null (sits the round out).
+ */
+function buildSchedule({
+  strategy = 'rotation',
+  seed = '',
+  playerCount,
+  active,
+  owners,
+  remaining,
+  eliminationsPerRound = 1,
+  fromRound = 0,
+  pastRows = []
+}) {
+  const rng = createRng(`${seed}:${fromRound}`);
+  const left = remaining.slice();
+  const pairCounts = Array.from({ length: playerCount }, () => ({}));
+  for (const row of pastRows) {
+    row.forEach((playlist, player) => {
+      if (playlist !== null && playlist !== undefined) pairCounts[player][playlist] = (pairCounts[player][playlist] || 0) + 1;
+    });
+  }
+
+  const rows = [];
+  for (let round = fromRound; left.some(count => count > 1); round++) {
+    const needy = left.map((count, idx) => idx).filter(idx => left[idx] > 1);
+    const mostLeft = Math.max(...needy.map(idx => left[idx]));
+    const size = Math.max(active.length, needy.length);
+
+    const cost = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => {
+      const player = active[r];
+      const playlist = needy[c];
+      if (player === undefined || playlist === undefined) return DUMMY_COST;
+      if (owners[playlist] === player) return FORBIDDEN_COST;
+      return PRIORITY_WEIGHT * (mostLeft - left[playlist])
+        + preferenceCost(strategy, { player, playlist, round, owners, playerCount, pairCounts, rng });
+    }));
+
+    const row = new Array(playerCount).fill(null);
+    solveAssignment(cost).forEach((c, r) => {
+      if (cost[r][c] >= DUMMY_COST) return; // idle seat or forbidden pairing
+      row[active[r]] = needy[c];
+    });
+
+    // Only owners are left to cut what remains — nothing more can happen
+    if (!row.some(playlist => playlist !== null)) break;
+
+    row.forEach((playlist, player) => {
+      if (playlist === null) return;
+      left[playlist] -= Math.max(0, Math.min(eliminationsPerRound, left[playlist] - 1));
+      pairCounts[player][playlist] = (pairCounts[player][playlist] || 0) + 1;
+    });
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = { STRATEGIES, buildSchedule };
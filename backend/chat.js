@@ -0,0 +1,49 @@
+// backend/chat.js
+const { LIMITS } = require('./limits');
+
+/* -----------------------
+   Game chat and emoji reactions
+   ----------------------- */
+
+// The only reactions on offer (the frontend shows the same set)
+const REACTIONS = ['😂', '🔥', '😱', '💀', '👏', '😢'];
+
+/**
+ * Append a chat message to the game's history, dropping the oldest past LIMITS.maxChatMessages.
+ * Returns the stored message { id, alias, text, at }.
+ */
+function addChatMessage(game, alias, text, id) {
+  const message = { id, alias, text: text.trim(), at: Date.now() };
+  game.chat = [...(game.chat || []), message].slice(-LIMITS.maxChatMessages);
+  return message;
+}
+
+/**
+ * The thing being reacted to: an eliminationLog entry (found by the eliminated song's id)
+ * or a final-mix entry. Returns null when it doesn't exist.
+ */
+function findReactionTarget(game, target) {
+  if (target.kind === 'elimination') {
+    const log = game.playlists[target.playlistIndex]?.eliminationLog || [];
+    return log.find(entry => entry.songId && entry.songId === target.songId) || null;
+  }
+  if (target.kind === 'finalMix') {
+    return (game.finalMix || []).find(entry => entry.playlistIndex === target.playlistIndex) || null;
+  }
+  return null;
+}
+
+/**
+ * Add alias's emoji to the target, or take it back if they already reacted with it.
+ * Reactions are kept on the target as { [emoji]: [alias, ...] }; emojis nobody uses are dropped.
+ */
+function toggleReaction(item, emoji, alias) {
+  const reactions = { ...(item.reactions || {}) };
+  const current = reactions[emoji] || [];
+  reactions[emoji] = current.includes(alias) ? current.filter(a => a !== alias) : [...current, alias];
+  if (reactions[emoji].length === 0) delete reactions[emoji];
+  item.reactions = reactions;
+  return reactions;
+}
+
+module.exports = { REACTIONS, addChatMessage, findReactionTarget, toggleReaction };
@@ -0,0 +1,81 @@
+// backend/duplicates.js
+
+/* -----------------------
+   Duplicate-song detection
+   ----------------------- */
+
+// What to do when a submitted song is already in the game (or twice in the same playlist)
+const DUPLICATE_POLICIES = ['reject', 'warn', 'allow'];
+
+/**
+ * Fold an artist or title down to what matters for "is this the same song":
+ * case, accents, punctuation, a leading "The", "feat." credits and
+ * "(Remastered 2011)"-style suffixes are all ignored.
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s*[([][^)\]]*\b(remaster(ed)?|live|radio edit|mono|stereo|version|edit|mix)\b[^)\]]*[)\]]/g, '')
+    .replace(/\s+-\s+.*\b(remaster(ed)?|live|radio edit|mono|stereo|version)\b.*$/, '')
+    .replace(/\s*[([]?\b(feat|ft|featuring)\b\.?.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the /, '')
+    .trim();
+}
+
+function titleKey(song) {
+  const title = normalizeText(song.title);
+  return title ? `${normalizeText(song.artist)}|${title}` : null;
+}
+
+function linkKey(song) {
+  return song.provider && song.providerId ? `${song.provider}:${song.providerId}` : (song.link || null);
+}
+
+/**
+ * Find songs in a new playlist that are already taken. Songs are compared by
+ * normalized artist + title, and by canonical link (so the same video under a
+ * different title still counts).
+ *
+ * existing: [{ alias, songs }] of playlists already submitted.
+ * Returns [{ index, song, matchedBy: 'link' | 'title', alias, otherIndex }] where alias is
+ * who already has it (the submitter's own alias for a repeat inside the new playlist).
+ */
+function findDuplicates(alias, songs, existing) {
+  const seen = new Map(); // key -> { alias, otherIndex }
+  const remember = (key, owner, otherIndex) => {
+    if (key && !seen.has(key)) seen.set(key, { alias: owner, otherIndex });
+  };
+  for (const pl of existing) {
+    pl.songs.forEach((song, i) => {
+      remember(`link:${linkKey(song)}`, pl.alias, i);
+      remember(`title:${titleKey(song)}`, pl.alias, i);
+    });
+  }
+
+  const duplicates = [];
+  songs.forEach((song, index) => {
+    const byLink = linkKey(song) && seen.get(`link:${linkKey(song)}`);
+    const byTitle = titleKey(song) && seen.get(`title:${titleKey(song)}`);
+    const match = byLink || byTitle;
+    if (match) duplicates.push({ index, song, matchedBy: byLink ? 'link' : 'title', ...match });
+
+    remember(`link:${linkKey(song)}`, alias, index);
+    remember(`title:${titleKey(song)}`, alias, index);
+  });
+  return duplicates;
+}
+
+/**
+ * Human-readable summary, e.g. `"Creep" is already in Sam's playlist; "Yellow" is listed twice`.
+ */
+function describeDuplicates(alias, duplicates) {
+  return duplicates.map(({ song, alias: owner }) =>
+    owner === alias ? `"${song.title}" is listed twice` : `"${song.title}" is already in ${owner}'s playlist`
+  ).join('; ');
+}
+
+module.exports = { DUPLICATE_POLICIES, normalizeText, findDuplicates, describeDuplicates };
@@ -3,24 +3,73 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const {
+  loadGames, saveGamesNow, scheduleSave,
+  loadProfiles, saveProfilesNow, scheduleProfilesSave,
+  loadSeasons, saveSeasonsNow, scheduleSeasonsSave,
+  loadArchive, saveArchiveNow, scheduleArchiveSave
+} = require('./storage');
+const { normalizeSettings, publicSettings } = require('./settings');
+const { setDeadline, clearDeadline, resumeDeadline, startGracePeriod, cancelGracePeriod } = require('./timers');
+const { buildSchedule } = require('./assignment');
+const { countVotes, validateBallot } = require('./voting');
+const { createApiRouter } = require('./api');
+const { parseLine, parsePlaylist } = require('./playlistFormats');
+const { normalizeLink } = require('./links');
+const { findDuplicates, describeDuplicates } = require('./duplicates');
+const { issueToken, tokenMatches } = require('./sessions');
+const { GameError, handle } = require('./protocol');
+const { LIMITS, clientKey, forgetSocket } = require('./limits');
+const { addChatMessage, findReactionTarget, toggleReaction } = require('./chat');
+const { createProfile, authenticateProfile, publicProfile } = require('./profiles');
+const { seasonRoster, createSeason, recordSeasonResult, seasonPayload } = require('./seasons');
+const { gameStandings } = require('./scoring');
+const { LOBBY_ROOM, publicGames, createLobbyAnnouncer } = require('./lobby');
+const { expiryPlan, archiveGame } = require('./archive');
 
 const app = express();
 app.use(cors());
 const server = http.createServer(app);
 
 const io = new Server(server, {
-  cors: { origin: '*', methods: ['GET', 'POST'] }
+  cors: { origin: '*', methods: ['GET', 'POST'] },
+  // Hard cap on one message; anything between maxPayloadBytes and this gets a PAYLOAD_TOO_LARGE reply instead
+  maxHttpBufferSize: LIMITS.maxPayloadBytes * 4
 });
 
 const PORT = process.env.PORT || 4000;
 server.listen(PORT, () => console.log(`Server running on ${PORT}`));
 
-app.use(express.json());
+app.use(express.json({ limit: LIMITS.maxPayloadBytes }));
 
 /* -----------------------
-   In-memory game storage
+   Game storage (kept in memory, saved to disk on every change)
    ----------------------- */
-const games = {}; // { [gameId]: game }
+const games = loadGames(); // { [gameId]: game }
+const lobby = createLobbyAnnouncer(io, games); // keeps the lobby browser in step with every saved change
+
+function persist() {
+  scheduleSave(games);
+  lobby.announce();
+}
+
+const profiles = loadProfiles(); // { [profileId]: { id, name, tokenHash, createdAt } }
+
+function persistProfiles() {
+  scheduleProfilesSave(profiles);
+}
+
+const seasons = loadSeasons(); // { [seasonId]: season } (see seasons.js)
+
+function persistSeasons() {
+  scheduleSeasonsSave(seasons);
+}
+
+const archive = loadArchive(); // { [gameId]: [summary, ...] } — index of expired games, each read-only in its own file (see archive.js)
+
+function persistArchive() {
+  scheduleArchiveSave(archive);
+}
 
 /* -----------------------
    helpers / utils
@@ -30,43 +79,80 @@ function makeId() {
 }
 
 /**
- * Find or re-link a player record for a game.
- * If createIfMissing === true and alias provided, a new player will be created.
+ * The provider details normalizeLink attached to a song (null for songs saved before links were recognised).
  */
-function getOrUpdatePlayer(game, socket, alias, createIfMissing = false) {
-  if (!game) return null;
-
-  // 1) find by current socket id
-  let player = game.players.find(p => p.id === socket.id);
-  if (player) return player;
+function linkInfo(song) {
+  return { provider: song.provider ?? null, providerId: song.providerId ?? null, providerKind: song.providerKind ?? null };
+}
 
-  // 2) find by alias (reconnected client)
-  if (alias) {
-    player = game.players.find(p => p.alias === alias);
-    if (player) {
-      // re-link socket id
-      player.id = socket.id;
-      return player;
-    }
-  }
+/**
+ * The player record for alias, but only when the caller presents that player's session token.
+ * Re-links the record to this socket, since the player may have reconnected.
+ */
+function authenticatePlayer(game, socket, alias, token) {
+  const player = game?.players.find(p => p.alias === alias);
+  if (!player || !tokenMatches(player, token)) return null;
+  player.id = socket.id;
+  touch(game);
+  return player;
+}
 
-  // 3) optionally create
-  if (createIfMissing && alias) {
-    const newPlayer = { id: socket.id, alias, playlist: null, hasSubmittedElimination: false };
-    game.players.push(newPlayer);
-    return newPlayer;
-  }
+/**
+ * A player did something in the game, so it isn't idle (see expiryPlan in archive.js).
+ * Only players count: requests that fail authentication, and spectators, can't keep a game alive.
+ */
+function touch(game) {
+  game.lastActivityAt = Date.now();
+}
 
-  return null;
+/**
+ * Send a freshly issued session token to the one socket it belongs to.
+ */
+function sendSession(socket, gameId, record) {
+  socket.emit('session', { gameId, alias: record.alias, token: issueToken(record) });
 }
 
 function isEmpty(value) {
   return value === null || value === undefined || value.length === 0;
 }
 
+/**
+ * Seat index (position in game.players) of each playlist's owner, from aliasToPlaylistIndex.
+ */
+function playlistOwners(game) {
+  const owners = [];
+  game.players.forEach((player, seat) => {
+    const playlistIndex = game.aliasToPlaylistIndex?.[player.alias];
+    if (playlistIndex === undefined) {
+      console.warn(`⚠️ No playlist index found for alias ${player.alias}`);
+      return;
+    }
+    owners[playlistIndex] = seat;
+  });
+  return owners;
+}
+
+/**
+ * Plan assignment rows from round index fromRoundIdx on with the game's assignment strategy (see assignment.js).
+ * counts = songs left per playlist when that round starts.
+ */
+function planSchedule(game, fromRoundIdx, counts) {
+  return buildSchedule({
+    strategy: game.settings?.assignmentStrategy,
+    seed: game.settings?.assignmentSeed,
+    playerCount: game.players.length,
+    active: game.players.map((p, seat) => seat).filter(seat => !game.players[seat].departed),
+    owners: playlistOwners(game),
+    remaining: counts,
+    eliminationsPerRound: game.settings?.eliminationsPerRound || 1,
+    fromRound: fromRoundIdx,
+    pastRows: (game.assignmentSchedule || []).slice(0, fromRoundIdx)
+  });
+}
+
 /**
  * Assign playlists to players (ensures nobody receives their own playlist).
- * Attempts to avoid repeating prior assignments (assignmentHistory) when possible.
+ * Builds the whole schedule on first use with the game's assignment strategy.
  * Returns mapping alias -> playlistIndex.
  */
 function assignPlaylistsToPlayers(game) {
@@ -75,14 +161,9 @@ function assignPlaylistsToPlayers(game) {
 
   // Initialize assignment schedule if needed
   if (isEmpty(game.assignmentSchedule)) {
-    game.assignmentSchedule = [];
-    console.log(`Building assignment schedule for ${computeMaxRounds(game)} rounds and ${total} players.`);
-    for (let i = 0; i < computeMaxRounds(game); i++) {
-      game.assignmentSchedule[i] = [];
-      for (let j = 0; j < total; j++) {
-        game.assignmentSchedule[i][j] = ((i+j+1)%total + Math.floor(i/(total-1)))%total;
-      }
-    }
+    const strategy = game.settings?.assignmentStrategy || 'rotation';
+    game.assignmentSchedule = planSchedule(game, 0, game.playlists.map(pl => pl.songs.length));
+    console.log(`Built ${strategy} assignment schedule for ${game.assignmentSchedule.length} rounds and ${total} players.`);
     console.log(`playlist assignment schedule:`, game.assignmentSchedule);
   }
 
@@ -90,11 +171,10 @@ function assignPlaylistsToPlayers(game) {
 
   let aliasIdx = 0;
   for (const alias of aliases) {
-    const playlistIndex = game.aliasToPlaylistIndex[alias];
-    if (playlistIndex === undefined) {
-      console.warn(`⚠️ No playlist index found for alias ${alias}`);
+    const playlistIndex = game.assignmentSchedule[game.currentRound]?.[aliasIdx];
+    if (playlistIndex !== null && playlistIndex !== undefined) {
+      assignedPlaylists[alias] = playlistIndex;
     }
-    assignedPlaylists[alias] = game.assignmentSchedule[game.currentRound][aliasIdx];
     aliasIdx++;
   }
 
@@ -123,8 +203,11 @@ function rotateAssignments(game, gameId) {
   const newAssignments = {};
   let aliasIdx = 0;
   for (const alias of aliases) {
-    const playlistIndex = game.assignmentSchedule[game.currentRound-1][aliasIdx];
-    newAssignments[alias] = playlistIndex;
+    const playlistIndex = game.assignmentSchedule[game.currentRound-1]?.[aliasIdx];
+    // departed players and players sitting out this round get no assignment
+    if (playlistIndex !== null && playlistIndex !== undefined && !game.players[aliasIdx].departed) {
+      newAssignments[alias] = playlistIndex;
+    }
     aliasIdx++;
   }
 
@@ -133,14 +216,49 @@ function rotateAssignments(game, gameId) {
   console.log(`🎯 Round ${game.currentRound} assignments:`, newAssignments);
 }
 
+/**
+ * Songs each playlist will have left once this round's outstanding eliminations are in.
+ */
+function projectedRemaining(game) {
+  const counts = game.playlists.map(pl => pl.songs.filter(s => !s.eliminated).length);
+  for (const player of game.players) {
+    if (!isAwaitingElimination(game, player)) continue;
+    const idx = game.assignedPlaylists[player.alias];
+    counts[idx] -= cutsThisRound(game, counts[idx]);
+  }
+  return counts;
+}
+
+/**
+ * Rebuild the assignment schedule from round index fromRoundIdx on, for the players still in the game.
+ * counts = songs left per playlist at that point. Every playlist keeps being cut until one song remains,
+ * so when fewer eliminators than playlists are left some playlists wait a round and more rounds are added.
+ */
+function rebuildAssignmentSchedule(game, fromRoundIdx, counts) {
+  const rows = planSchedule(game, fromRoundIdx, counts);
+
+  game.assignmentSchedule = (game.assignmentSchedule || []).slice(0, fromRoundIdx).concat(rows);
+  game.maxRounds = game.assignmentSchedule.length;
+  game.scheduleAdjusted = true;
+  console.log(`🔁 Rebuilt assignment schedule from round ${fromRoundIdx + 1}:`, rows);
+}
+
 /* -----------------------
    Core game lifecycle helpers
    ----------------------- */
 function computeMaxRounds(game) {
   // default initial playlists length based on longest playlist
   const maxSongs = Math.max(...game.playlists.map(p => (p.songs?.length || 0)));
-  // Number of elimination rounds before 1 remains = initial length - 1
-  return Math.max(0, maxSongs - 1);
+  // Number of elimination rounds before 1 remains = (initial length - 1) / songs cut per round
+  return Math.ceil(Math.max(0, maxSongs - 1) / (game.settings?.eliminationsPerRound || 1));
+}
+
+/**
+ * Songs to cut from a playlist with `remaining` songs left this round —
+ * eliminationsPerRound, but never the playlist's last song.
+ */
+function cutsThisRound(game, remaining) {
+  return Math.max(0, Math.min(game.settings?.eliminationsPerRound || 1, remaining - 1));
 }
 
 function allPlaylistsHaveOneRemaining(game) {
@@ -176,6 +294,11 @@ function advanceAfterRound(game, gameId) {
   // Reset per-round submission flags safely
   game.players.forEach(p => p.hasSubmittedElimination = false);
 
+  // Someone left (or came back) mid-game: plan the remaining rounds from the real song counts
+  if (game.scheduleAdjusted || game.players.some(p => p.departed)) {
+    rebuildAssignmentSchedule(game, game.currentRound, game.playlists.map(pl => pl.songs.filter(s => !s.eliminated).length));
+  }
+
   // 🔍 Determine if we're entering the final mix
   const isFinalPhase =
     allPlaylistsHaveOneRemaining(game) ||
@@ -192,6 +315,7 @@ function advanceAfterRound(game, gameId) {
         artist: remaining.artist || 'Unknown Artist',
         title: remaining.title || 'Untitled Song',
         link: remaining.link || '',
+        ...linkInfo(remaining),
         eliminated: !!remaining.eliminated,
         eliminatedRound: remaining.eliminatedRound ?? null,
         eliminatedBy: remaining.eliminatedBy ?? null,
@@ -207,6 +331,8 @@ function advanceAfterRound(game, gameId) {
 
     game.finalMix = finalMix;
     game.gamePhase = 'final_mix';
+    game.runoff = null;
+    game.voteStages = [];
 
     // Normalize elimination logs for all playlists
     game.playlists.forEach(pl => {
@@ -244,6 +370,7 @@ function advanceAfterRound(game, gameId) {
             artist: remaining.artist || 'Unknown Artist',
             title: remaining.title || 'Untitled Song',
             link: remaining.link || '',
+        ...linkInfo(remaining),
             eliminated: !!remaining.eliminated,
             eliminatedRound: remaining.eliminatedRound || null,
             eliminatedBy: remaining.eliminatedBy || null,
@@ -253,13 +380,17 @@ function advanceAfterRound(game, gameId) {
       }).filter(Boolean);
     }
 
+    persist();
+
     // 🕐 Slight delay to ensure clients handle last elimination renders before final phase
     setTimeout(() => {
       io.to(gameId).emit('gamePhaseChanged', {
         gamePhase: game.gamePhase,
         playlists: game.playlists,
-        finalMix: game.finalMix
+        finalMix: game.finalMix,
+        standings: gameStandings(game)
       });
+      startPhaseDeadline(game, gameId, 'voting');
       console.log(`✅ Game ${gameId} moved to final_mix with ${finalMix.length} songs.`);
       game._advancing = false;
     }, 500);
@@ -279,8 +410,8 @@ function advanceAfterRound(game, gameId) {
     }
   } 
 
-  rotateAssignments(game);
-  if (!game.assignedPlaylists || Object.keys(game.assignedPlaylists).length !== game.players.length) {
+  rotateAssignments(game, gameId);
+  if (!game.assignedPlaylists || Object.keys(game.assignedPlaylists).length === 0) {
     console.error(`🚨 rotateAssignments failed or incomplete for game ${gameId}`);
     console.error('assignedPlaylists:', game.assignedPlaylists);
   }
@@ -303,7 +434,7 @@ function advanceAfterRound(game, gameId) {
       .filter(Boolean);
   });
 
-  // io.to(gameCode).emit("updateEliminationHistory", game.eliminationHistory);
+  persist();
 
   // Slight buffer to prevent phase-race conditions
   setTimeout(() => {
@@ -311,8 +442,10 @@ function advanceAfterRound(game, gameId) {
       gamePhase: game.gamePhase,
       assignedPlaylists: game.assignedPlaylists,
       playlists: game.playlists,
-      round: game.currentRound
+      round: game.currentRound,
+      standings: gameStandings(game)
     });
+    startPhaseDeadline(game, gameId, 'elimination');
     console.log(`➡️ Advanced ${gameId} to ${game.gamePhase}`);
     game._advancing = false;
   }, 300);
@@ -324,160 +457,876 @@ function advanceAfterRound(game, gameId) {
 }
 
 
+/**
+ * Mark a song eliminated (it stays in playlist.songs) and record it in the playlist's eliminationLog.
+ */
+function applyElimination(game, playlist, song, alias, comment, auto = false) {
+  song.eliminated = true;
+  song.eliminatedRound = game.currentRound ?? 1;
+  song.eliminatedBy = alias;
+  song.comment = comment || '';
+
+  playlist.eliminationLog = playlist.eliminationLog || [];
+  playlist.eliminationLog.push({
+    songId: song.id,
+    songInfo: { artist: song.artist, title: song.title, link: song.link, ...linkInfo(song) },
+    eliminatedRound: song.eliminatedRound,
+    eliminatedBy: alias,
+    comment: song.comment,
+    ...(auto ? { auto: true } : {})
+  });
+}
+
+/**
+ * Everyone has submitted a playlist: build assignments and start elimination_round_1.
+ */
+function beginEliminationRounds(game, gameId) {
+  // 🔧 Build stable alias→playlistIndex map
+  const aliases = game.players.map(p => p.alias);
+
+  game.aliasToPlaylistIndex = {};
+  let aliasIdx = 0;
+  for (const alias of aliases) {
+    game.aliasToPlaylistIndex[alias] = aliasIdx;
+    aliasIdx++;
+  }
+  game.playlists.sort((a,b) => game.aliasToPlaylistIndex[a.alias] - game.aliasToPlaylistIndex[b.alias]);
+
+
+  game.assignedPlaylists = assignPlaylistsToPlayers(game);
+  game.currentRound = 1;
+  game.maxRounds = game.assignmentSchedule.length;
+  game.gamePhase = `elimination_round_${game.currentRound}`;
+  persist();
+
+  io.to(gameId).emit('gamePhaseChanged', {
+    gamePhase: game.gamePhase,
+    assignedPlaylists: game.assignedPlaylists,
+    playlists: game.playlists,
+    round: game.currentRound,
+    standings: gameStandings(game)
+  });
+  startPhaseDeadline(game, gameId, 'elimination');
+
+  console.log(`All playlists in. ${gameId} -> ${game.gamePhase}`);
+}
+
+/**
+ * Whether the round is still waiting on this player: they're in the game, have an assignment and haven't cut yet.
+ */
+function isAwaitingElimination(game, player) {
+  return !player.departed
+    && game.assignedPlaylists?.[player.alias] !== undefined
+    && !player.hasSubmittedElimination;
+}
+
+/**
+ * Advance to the next round once every player has submitted (or been skipped by the host).
+ */
+function checkRoundComplete(game, gameId) {
+  const allSubmitted = !game.players.some(p => isAwaitingElimination(game, p));
+  console.log(`📊 Round ${game.currentRound} submission map:`,
+    game.players.map(p => `${p.alias}:${p.hasSubmittedElimination}`).join(', '));
+
+  if (!allSubmitted) return;
+  console.log(`🎯 All players submitted eliminations for round ${game.currentRound}`);
+  stopPhaseDeadline(game, gameId);
+
+  if (game._roundLocked) {
+    console.warn('Duplicate round lock—skipping advance');
+    return;
+  }
+  game._roundLocked = true;
+
+  setTimeout(() => {
+    try {
+      const stillSame = games[gameId]?.currentRound === game.currentRound;
+      if (!stillSame) return console.warn('Skipping advance—game already moved on');
+
+      console.log('➡️ Calling advanceAfterRound...');
+      advanceAfterRound(game, gameId);
+    } catch (err) {
+      console.error('💥 advanceAfterRound crash:', err);
+    }
+  }, 500);
+}
+
+/**
+ * Count the final-mix votes with the game's voting method and either finish the game
+ * or, when songs tie for first, open a runoff among them.
+ * Runs when everyone has voted or the voting deadline passes.
+ *
+ * A runoff is always a simple one-pick vote among the tied songs. Every count (the main
+ * vote and each runoff) is kept in game.voteStages so the results can show how the winner was chosen.
+ */
+function tallyVotes(game, gameId) {
+  stopPhaseDeadline(game, gameId);
+  const settings = game.settings || {};
+  const ballots = Object.values(game.votes || {});
+  const method = game.runoff ? 'plurality' : settings.votingMethod;
+  const candidates = game.runoff ? game.runoff.candidates : game.finalMix.map(entry => entry.playlistIndex);
+
+  const { rounds, winners } = countVotes(method, candidates, ballots);
+  game.voteStages = game.voteStages || [];
+  game.voteStages.push({ runoff: game.runoff?.number || 0, method, candidates, ballots: ballots.length, rounds });
+  // A runoff starts over with fresh ballots; the main vote's are kept for stats (never sent to clients)
+  if (!game.runoff) game.mainVotes = { ...game.votes };
+  console.log(`🗳️ Game ${gameId} ${game.runoff ? `runoff ${game.runoff.number}` : 'vote'} (${method}):`, rounds, 'winners:', winners);
+
+  const runoffsHeld = game.runoff?.number || 0;
+  if (winners.length > 1 && settings.tieBreak === 'runoff' && runoffsHeld < settings.maxRunoffs) {
+    game.runoff = { number: runoffsHeld + 1, candidates: winners };
+    game.votes = {};
+    persist();
+    io.to(gameId).emit('runoffStarted', { runoff: game.runoff, voteStages: game.voteStages, ...votesPayload(game) });
+    startPhaseDeadline(game, gameId, 'voting');
+    console.log(`🔁 Game ${gameId}: tie between ${winners.join(', ')} — runoff ${game.runoff.number}`);
+    return;
+  }
+
+  // Final counts of the deciding stage, keyed by playlist index
+  const tally = rounds[rounds.length - 1]?.counts || {};
+  const results = winners.map(playlistIndex => {
+    const fm = game.finalMix.find(f => f.playlistIndex === playlistIndex);
+    return {
+      playlistIndex,
+      originAlias: fm?.originAlias,
+      song: fm?.song,
+      votes: tally[playlistIndex] ?? 0
+    };
+  });
+
+  // finalize (kept on the game so late rejoins still see the winner)
+  game.finalResults = {
+    results,
+    tally,
+    method: settings.votingMethod,
+    tied: results.length > 1,
+    stages: game.voteStages
+  };
+  // Predictions are revealed with the results
+  if (game.settings?.predictions) {
+    const won = new Set(winners);
+    game.finalResults.predictions = Object.entries(game.predictions || {})
+      .map(([alias, playlistIndex]) => ({ alias, playlistIndex, correct: won.has(playlistIndex) }));
+  }
+  // Everyone's final points, now that the votes and the winner are in
+  game.finalResults.standings = gameStandings(game);
+  game.runoff = null;
+  io.to(gameId).emit('finalResults', game.finalResults);
+  console.log(`Final results for game ${gameId}:`, results);
+
+  game.gamePhase = 'finished';
+  game.finishedAt = Date.now();
+  persist();
+  scoreSeasonGame(game, gameId);
+}
+
+/**
+ * Add a finished season game's scores to its season and send everyone the new standings.
+ */
+function scoreSeasonGame(game, gameId) {
+  const season = game.seasonId && seasons[game.seasonId];
+  if (!season || !recordSeasonResult(season, gameId, game)) return;
+  persistSeasons();
+  io.to(gameId).emit('seasonUpdated', { season: seasonPayload(season) });
+  console.log(`🏅 Game ${gameId} scored for season ${season.name} (${season.id})`);
+}
+
 /* -----------------------
-   Socket.IO handlers
+   Phase deadlines
    ----------------------- */
-io.on('connection', socket => {
-  console.log('A user connected:', socket.id);
+function deadlinePayload(game) {
+  // serverTime lets clients correct for clock skew when counting down to endsAt
+  return { deadline: game.deadline || null, serverTime: Date.now() };
+}
 
-  // Create game
-  socket.on('createGame', ({ gameId, password, alias }) => {
-    if (!gameId) {
-      socket.emit('error', { message: 'Missing gameId' });
-      return;
+/**
+ * Start the configured deadline ('submission' | 'elimination' | 'voting') for the game's current phase.
+ */
+function startPhaseDeadline(game, gameId, kind) {
+  setDeadline(game, gameId, game.settings?.deadlines?.[kind], onDeadline);
+  persist();
+  io.to(gameId).emit('deadlineUpdated', deadlinePayload(game));
+}
+
+function stopPhaseDeadline(game, gameId) {
+  if (!game.deadline) return;
+  clearDeadline(game, gameId);
+  persist();
+  io.to(gameId).emit('deadlineUpdated', deadlinePayload(game));
+}
+
+function onDeadline(game, gameId, phase) {
+  console.log(`⏰ Deadline passed for ${phase} in game ${gameId}`);
+  io.to(gameId).emit('deadlineUpdated', deadlinePayload(game));
+
+  if (phase === 'submission') handleSubmissionTimeout(game, gameId);
+  else if (phase.startsWith('elimination')) handleEliminationTimeout(game, gameId);
+  else if (phase === 'final_mix') tallyVotes(game, gameId);
+}
+
+/**
+ * Submission deadline: players without a playlist are dropped and the rounds start
+ * with everyone who did submit. With fewer than two playlists there is no game yet, so wait again.
+ */
+function handleSubmissionTimeout(game, gameId) {
+  if (game.playlists.length < 2) {
+    console.warn(`⚠️ Game ${gameId}: only ${game.playlists.length} playlist(s) at the deadline — extending submission`);
+    startPhaseDeadline(game, gameId, 'submission');
+    return;
+  }
+
+  const submitted = new Set(game.playlists.map(pl => pl.alias));
+  const dropped = game.players.filter(p => !submitted.has(p.alias));
+  game.players = game.players.filter(p => submitted.has(p.alias));
+  if (!game.players.some(p => p.alias === game.host)) game.host = game.players[0].alias;
+  persist();
+
+  for (const player of dropped) {
+    const droppedSocket = io.sockets.sockets.get(player.id);
+    if (droppedSocket) {
+      droppedSocket.emit('kicked', { gameId, by: null, reason: 'No playlist submitted before the deadline' });
+      droppedSocket.leave(gameId);
     }
-    if (games[gameId]) {
-      socket.emit('error', { message: 'Game already exists' });
-      return;
+  }
+  io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
+  console.log(`⏰ Game ${gameId}: dropped ${dropped.map(p => p.alias).join(', ') || 'nobody'} at the submission deadline`);
+
+  beginEliminationRounds(game, gameId);
+}
+
+/**
+ * Elimination deadline: apply the game's timeoutAction to everyone still deciding.
+ * 'random' eliminates a random remaining song from their assigned playlist, 'skip' just moves on.
+ */
+function handleEliminationTimeout(game, gameId) {
+  const waiting = game.players.filter(p => isAwaitingElimination(game, p));
+
+  for (const player of waiting) {
+    if (game.settings?.timeoutAction === 'random') {
+      const playlist = game.playlists[game.assignedPlaylists?.[player.alias]];
+      const remaining = playlist ? playlist.songs.filter(s => !s.eliminated) : [];
+      for (let cuts = cutsThisRound(game, remaining.length); cuts > 0; cuts--) {
+        const [song] = remaining.splice(Math.floor(Math.random() * remaining.length), 1);
+        applyElimination(game, playlist, song, player.alias, '', true);
+        console.log(`🎲 ${player.alias} timed out — randomly eliminated "${song.title}" from ${playlist.alias}'s playlist`);
+      }
     }
+    player.hasSubmittedElimination = true;
+  }
+  persist();
 
-    const player = { id: socket.id, alias, playlist: null, hasSubmittedElimination: false };
-    games[gameId] = {
-      players: [player],
-      playlists: [], // will store { alias, songs: [{...}], eliminationLog: [] }
-      password: password || '',
-      gamePhase: 'lobby',
-      assignedPlaylists: {},
-      assignmentSchedule: [],
-      currentRound: 0,
-      maxRounds: 0,
-      finalMix: null,
-      votes: {}
-    };
+  io.to(gameId).emit('playlistsUpdated', game.playlists);
+  io.to(gameId).emit('playersSkipped', {
+    aliases: waiting.map(p => p.alias),
+    round: game.currentRound,
+    reason: 'deadline'
+  });
 
-    socket.join(gameId);
-    socket.gameId = gameId;
+  checkRoundComplete(game, gameId);
+}
+
+/* -----------------------
+   Departed players
+   ----------------------- */
 
-    console.log(`Game ${gameId} created by ${alias} (socket ${socket.id})`);
+/**
+ * A player left for good mid-game (host action or grace period ran out). Their playlist stays in play,
+ * but they stop receiving assignments and stop counting toward round completion and voting.
+ */
+function departPlayer(game, gameId, alias, reason) {
+  const player = game.players.find(p => p.alias === alias);
+  if (!player || player.departed) return;
+
+  player.departed = true;
+  if (game.host === alias) {
+    const nextHost = game.players.find(p => !p.departed);
+    if (nextHost) game.host = nextHost.alias;
+  }
 
-    io.to(gameId).emit('gameCreated', {
-      gameId,
-      players: games[gameId].players.map(p => p.alias),
-      gamePhase: games[gameId].gamePhase
-    });
-  });
+  const inElimination = game.gamePhase?.startsWith('elimination');
+  if (inElimination) {
+    delete game.assignedPlaylists[alias];
+    rebuildAssignmentSchedule(game, game.currentRound, projectedRemaining(game));
+    io.to(gameId).emit('assignmentsUpdated', game.assignedPlaylists);
+  }
+  persist();
 
-  // Rejoin (client should emit on page load if it has saved gameId + alias)
-  socket.on('rejoinGame', ({ gameId, alias }) => {
-    const game = games[gameId];
-    if (!game) {
-      socket.emit('rejoinResult', { success: false, message: 'Game not found' });
-      return;
+  io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
+  io.to(gameId).emit('playerDeparted', { alias, reason });
+  console.log(`🚪 ${alias} departed game ${gameId} (${reason})`);
+
+  if (inElimination) checkRoundComplete(game, gameId);
+  else if (game.gamePhase === 'final_mix' && allVotesIn(game)) tallyVotes(game, gameId);
+}
+
+/**
+ * A departed player rejoined: they get assignments again from the next round on.
+ */
+function returnPlayer(game, gameId, player) {
+  player.departed = false;
+  if (game.gamePhase?.startsWith('elimination')) {
+    rebuildAssignmentSchedule(game, game.currentRound, projectedRemaining(game));
+  }
+  persist();
+
+  io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
+  console.log(`↩️ ${player.alias} returned to game ${gameId}`);
+}
+
+function isMidGame(game) {
+  return !!game.gamePhase?.startsWith('elimination') || game.gamePhase === 'final_mix';
+}
+
+function onGracePeriodOver(gameId, alias) {
+  const game = games[gameId];
+  const player = game?.players.find(p => p.alias === alias);
+  if (!player || !isMidGame(game)) return;
+  // Reconnected under a new socket in the meantime
+  if (io.sockets.sockets.get(player.id)) return;
+  departPlayer(game, gameId, alias, 'disconnected');
+}
+
+/**
+ * Host checks: the host is recorded by alias when createGame runs.
+ */
+function isGameOver(game) {
+  return game.gamePhase === 'finished' || game.gamePhase === 'ended';
+}
+
+function isHost(game, alias) {
+  return !!alias && game.host === alias;
+}
+
+/* -----------------------
+   Request guards (throw a GameError that handle() sends back to the client)
+   ----------------------- */
+function findGame(gameId) {
+  const game = games[gameId];
+  if (!game) throw new GameError('GAME_NOT_FOUND', 'Game not found', 'gameId');
+  return game;
+}
+
+function requirePlayer(game, socket, alias, token) {
+  const player = authenticatePlayer(game, socket, alias, token);
+  if (!player) throw new GameError('UNAUTHORIZED', 'Player not found');
+  return player;
+}
+
+/**
+ * A player or spectator of the game (chat and reactions are open to both).
+ */
+function requireMember(game, socket, alias, token) {
+  const member = authenticatePlayer(game, socket, alias, token) || authenticateSpectator(game, socket, alias, token);
+  if (!member) throw new GameError('UNAUTHORIZED', 'Player not found');
+  return member;
+}
+
+/**
+ * The profile a player wants to play this game under, checked against its token; null when they sent none.
+ * game is null for a game that's being created.
+ */
+function checkProfile(game, credentials) {
+  if (!credentials) return null;
+  const profile = authenticateProfile(profiles, credentials.id, credentials.token);
+  if (!profile) throw new GameError('UNAUTHORIZED', 'Profile not recognised — create a new one', 'profile');
+  if (game?.players.some(p => p.profileId === profile.id)) {
+    throw new GameError('NOT_ALLOWED', 'Your profile is already playing in this game', 'profile');
+  }
+  return profile;
+}
+
+function requireHost(game, socket, alias, token, message) {
+  if (!isHost(game, alias) || !authenticatePlayer(game, socket, alias, token)) throw new GameError('HOST_ONLY', message);
+}
+
+function playersPayload(game) {
+  return {
+    players: game.players.map(p => p.alias),
+    departed: game.players.filter(p => p.departed).map(p => p.alias),
+    reserved: game.players.filter(p => p.reserved).map(p => p.alias),
+    spectators: game.spectators.map(s => s.alias),
+    roster: game.roster || null,
+    host: game.host
+  };
+}
+
+/**
+ * Everything a client needs to land in the game's current phase and round
+ * (sent on rejoin and when a spectator starts watching).
+ */
+function gameStatePayload(game, gameId, alias) {
+  const player = game.players.find(p => p.alias === alias);
+  return {
+    gameId,
+    alias,
+    spectator: !player && game.spectators.some(s => s.alias === alias),
+    ...playersPayload(game),
+    gamePhase: game.gamePhase,
+    assignedPlaylists: game.assignedPlaylists,
+    playlists: game.playlists,
+    round: game.currentRound,
+    finalMix: game.finalMix,
+    finalResults: game.finalResults || null,
+    runoff: game.runoff || null,
+    settings: publicSettings(game.settings),
+    ...deadlinePayload(game),
+    hasSubmittedPlaylist: game.playlists.some(p => p.alias === alias),
+    hasSubmittedElimination: !!player?.hasSubmittedElimination,
+    hasVoted: game.votes?.[alias] !== undefined,
+    // Only ever your own prediction (everyone's come with the final results)
+    prediction: game.predictions?.[alias] ?? null,
+    predictionsIn: Object.keys(game.predictions || {}).length,
+    voteProgress: votesPayload(game),
+    standings: gameStandings(game),
+    chat: game.chat || [],
+    seasonId: game.seasonId || null,
+    // Roster, scoring and standings so far, for season games
+    season: game.seasonId && seasons[game.seasonId] ? seasonPayload(seasons[game.seasonId]) : null
+  };
+}
+
+/* -----------------------
+   Spectators
+   ----------------------- */
+
+/**
+ * Same as authenticatePlayer, for spectators.
+ */
+function authenticateSpectator(game, socket, alias, token) {
+  const spectator = game?.spectators.find(s => s.alias === alias);
+  if (!spectator || !tokenMatches(spectator, token)) return null;
+  spectator.id = socket.id;
+  return spectator;
+}
+
+function isAliasTaken(game, alias) {
+  return game.players.some(p => p.alias === alias) || game.spectators.some(s => s.alias === alias);
+}
+
+/**
+ * Players still in the game always vote in the final mix; spectators only when the host allowed it.
+ */
+function eligibleVoters(game) {
+  const voters = game.players.filter(p => !p.departed).map(p => p.alias);
+  if (game.settings?.spectatorsCanVote) voters.push(...game.spectators.map(s => s.alias));
+  return voters;
+}
+
+function allVotesIn(game) {
+  return eligibleVoters(game).every(voter => game.votes?.[voter] !== undefined);
+}
+
+function votesPayload(game) {
+  const voters = eligibleVoters(game);
+  return { votesIn: voters.filter(voter => game.votes?.[voter] !== undefined).length, eligible: voters.length };
+}
+
+/**
+ * Validate a final-mix ballot for this voter: against the current candidates (the whole final mix,
+ * or just the tied songs in a runoff) and, unless the game allows it, not for their own song.
+ */
+function checkBallot(game, alias, chosen) {
+  const method = game.runoff ? 'plurality' : game.settings?.votingMethod;
+  const candidates = game.runoff ? game.runoff.candidates : game.finalMix.map(entry => entry.playlistIndex);
+  const own = game.settings?.allowSelfVote ? null : game.finalMix.find(entry => entry.originAlias === alias);
+  return validateBallot(method, chosen, candidates, own ? own.playlistIndex : null);
+}
+
+
+/* -----------------------
+   HTTP API
+   ----------------------- */
+app.use('/api', createApiRouter(games, { playersPayload, deadlinePayload, votesPayload, profiles, seasons, archive }));
+
+/* -----------------------
+   Creating games
+   ----------------------- */
+
+/**
+ * Create a game hosted by the player on this socket and send them their session.
+ * Season games pass their season: the whole roster gets a seat straight away, reserved until
+ * its member joins (see joinGame), and nobody else may take one.
+ */
+function openGame(socket, gameId, { password, alias, credentials, settings, season = null }) {
+  // ':' is kept for rooms that aren't games, like the lobby browser's
+  if (gameId.includes(':')) throw new GameError('NOT_ALLOWED', "A game ID can't contain ':'", 'gameId');
+  if (games[gameId]) throw new GameError('GAME_EXISTS', 'Game already exists', 'gameId');
+  const profile = checkProfile(null, credentials);
+
+  // One client can only keep so many games going at once
+  const creator = clientKey(socket);
+  const running = Object.values(games).filter(g => g.createdBy === creator && !isGameOver(g)).length;
+  if (running >= LIMITS.maxOpenGamesPerClient) {
+    throw new GameError('TOO_MANY_GAMES', `You already have ${running} games running — finish or end one before starting another`);
+  }
+
+  const player = { id: socket.id, alias, playlist: null, hasSubmittedElimination: false };
+  if (profile) player.profileId = profile.id;
+  const game = {
+    players: [player],
+    spectators: [],
+    playlists: [], // will store { alias, songs: [{...}], eliminationLog: [] }
+    password: password || '',
+    host: alias,
+    createdBy: creator,
+    createdAt: Date.now(),
+    lastActivityAt: Date.now(),
+    settings: normalizeSettings({ ...settings, assignmentSeed: settings?.assignmentSeed || makeId() }),
+    gamePhase: 'lobby',
+    assignedPlaylists: {},
+    assignmentSchedule: [],
+    currentRound: 0,
+    maxRounds: 0,
+    finalMix: null,
+    votes: {}
+  };
+  if (season) {
+    game.seasonId = season.id;
+    game.roster = season.roster.slice();
+    for (const member of game.roster.filter(member => member !== alias)) {
+      game.players.push({ id: null, alias: member, playlist: null, hasSubmittedElimination: false, reserved: true });
     }
+  }
+  games[gameId] = game;
+
+  socket.join(gameId);
+  socket.gameId = gameId;
+  sendSession(socket, gameId, player);
+  persist();
+
+  console.log(`Game ${gameId} created by ${alias} (socket ${socket.id})`);
+
+  io.to(gameId).emit('gameCreated', {
+    gameId,
+    ...playersPayload(game),
+    gamePhase: game.gamePhase,
+    settings: publicSettings(game.settings),
+    seasonId: game.seasonId || null
+  });
+  return game;
+}
+
+/**
+ * A roster member joins a season game through the seat reserved for them: same as joining,
+ * except the seat (and its place in the player order) already exists.
+ */
+function takeReservedSeat(socket, game, gameId, seat, credentials) {
+  const profile = checkProfile(game, credentials);
+  delete seat.reserved;
+  seat.id = socket.id;
+  touch(game);
+  if (profile) seat.profileId = profile.id;
+
+  socket.join(gameId);
+  socket.gameId = gameId;
+  sendSession(socket, gameId, seat);
+  persist();
+
+  io.to(gameId).emit('playerJoined', {
+    alias: seat.alias,
+    ...playersPayload(game),
+    gamePhase: game.gamePhase,
+    settings: publicSettings(game.settings)
+  });
+  console.log(`🏅 ${seat.alias} took their seat in season game ${gameId}`);
+  return { chat: game.chat || [] };
+}
+
+/* -----------------------
+   Socket.IO handlers
+   ----------------------- */
+io.on('connection', socket => {
+  console.log('A user connected:', socket.id);
 
+  // Create game
+  handle(socket, 'createGame', ({ gameId, password, alias, profile: credentials, settings }) => {
+    openGame(socket, gameId, { password, alias, credentials, settings });
+  });
+
+  // Rejoin (client emits on page load / reconnect with its saved gameId, alias and session token)
+  handle(socket, 'rejoinGame', ({ gameId, alias, token }) => {
+    const refuse = (code, message) => {
+      socket.emit('rejoinResult', { success: false, message });
+      return new GameError(code, message);
+    };
+
+    const game = games[gameId];
+    if (!game) throw refuse('GAME_NOT_FOUND', 'Game not found');
+
+    const player = game.players.find(p => p.alias === alias);
+    const spectator = player ? null : game.spectators.find(s => s.alias === alias);
+    const record = player || spectator;
+    if (!record) throw refuse('UNAUTHORIZED', 'You are not in this game');
+    // Records saved before session tokens existed have none. Their first rejoin gets one, as long as
+    // nobody is connected in that seat right now; from then on the seat needs its token like any other
+    const legacy = !record.tokenHash && !io.sockets.sockets.has(record.id);
+    if (!legacy && !tokenMatches(record, token)) throw refuse('SESSION_EXPIRED', 'Session expired — join again');
+    if (player) touch(game);
+
+    record.id = socket.id;
     socket.join(gameId);
     socket.gameId = gameId;
-    const player = getOrUpdatePlayer(game, socket, alias, true);
+    if (legacy) {
+      sendSession(socket, gameId, record);
+      console.log(`🔑 ${alias} claimed their pre-token seat in game ${gameId}`);
+    }
 
-    // send back current phase, assignments if any, playlists, round and finalMix
-    const payload = {
-      success: true,
-      gamePhase: game.gamePhase,
-      assignedPlaylists: game.assignedPlaylists,
-      playlists: game.playlists,
-      round: game.currentRound,
-      finalMix: game.finalMix
-    };
+    cancelGracePeriod(gameId, alias);
+    if (player?.departed) returnPlayer(game, gameId, player);
+    persist();
 
-    socket.emit('rejoinResult', payload);
-    console.log(`Player ${alias} rejoined game ${gameId} (socket ${socket.id})`);
+    socket.emit('rejoinResult', { success: true, ...gameStatePayload(game, gameId, alias) });
+    console.log(`${spectator ? 'Spectator' : 'Player'} ${alias} rejoined game ${gameId} (socket ${socket.id})`);
   });
 
   // Join game (new player)
-  socket.on('joinGame', ({ gameId, alias, password }) => {
-    if (!gameId) {
-      socket.emit('error', { message: 'Missing gameId' });
-      return;
-    }
+  handle(socket, 'joinGame', ({ gameId, alias, password, profile: credentials, spectator }) => {
     const game = games[gameId];
-    if (!game) {
-      socket.emit('error', { message: 'Game not found' });
-      return;
-    }
+    if (!game) throw new GameError('GAME_NOT_FOUND', 'Game not found', 'gameId');
 
     // check password
-    if (game.password && game.password !== password) {
-      socket.emit('error', { message: 'Invalid password' });
-      return;
+    if (game.password && game.password !== password) throw new GameError('WRONG_PASSWORD', 'Invalid password', 'password');
+
+    // A season game's roster members take the seats reserved for them
+    const seat = spectator ? null : game.players.find(p => p.reserved && p.alias === alias);
+    if (seat) return takeReservedSeat(socket, game, gameId, seat, credentials);
+
+    // Returning players use rejoinGame with their session token; an alias can't be claimed twice
+    if (isAliasTaken(game, alias)) throw new GameError('ALIAS_TAKEN', 'Alias already taken', 'alias');
+    if (!spectator && game.gamePhase !== 'lobby') {
+      throw new GameError('WRONG_PHASE', 'Game already in progress — join as a spectator instead');
     }
+    if (!spectator && game.players.length >= game.settings.maxPlayers) {
+      throw new GameError('GAME_FULL', `Game is full (${game.settings.maxPlayers} players max)`);
+    }
+    // Season games keep their seats for the season's roster
+    if (!spectator && game.roster && !game.roster.includes(alias)) {
+      throw new GameError('NOT_ALLOWED', `This season game is for its roster: ${game.roster.join(', ')}`, 'alias');
+    }
+    // Spectating doesn't count towards a profile's stats
+    const profile = spectator ? null : checkProfile(game, credentials);
 
     socket.join(gameId);
     socket.gameId = gameId;
 
+    // 👀 Spectators watch from the room but never enter game.players
+    if (spectator) {
+      const watcher = { id: socket.id, alias };
+      game.spectators.push(watcher);
+      sendSession(socket, gameId, watcher);
+      persist();
+
+      socket.emit('spectateResult', { success: true, ...gameStatePayload(game, gameId, alias) });
+      io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
+      console.log(`👀 Spectator joined game ${gameId}: ${alias}`);
+      return { chat: game.chat || [] };
+    }
+
     // ✅ Create player record
     const player = { id: socket.id, alias, playlist: null };
+    if (profile) player.profileId = profile.id;
     game.players.push(player);
-    socket.join(gameId);
-    socket.gameCode = gameId;
-    
-    // alias conflict check (someone else using alias)
-    const conflict = game.players.some(p => p.alias === alias && p.id !== socket.id);
-    if (conflict) {
-      socket.emit('error', { message: 'Alias already taken' });
-      return;
-    }
+    touch(game);
+    sendSession(socket, gameId, player);
+    persist();
 
     io.to(gameId).emit('playerJoined', {
       alias: player.alias,
-      players: game.players.map(p => p.alias),
-      gamePhase: game.gamePhase
+      ...playersPayload(game),
+      gamePhase: game.gamePhase,
+      settings: publicSettings(game.settings)
     });
 
     console.log(`✅ Player joined game ${gameId}: ${alias}`);
     console.log(`Current players: ${game.players.map(p => p.alias).join(', ')}`);
 
+    // The joining player catches up on the lobby chat through the acknowledgement
+    return { chat: game.chat || [] };
   });
 
-  // Start game (host / first player triggers)
-  socket.on('startGame', ({ gameId }) => {
-    const game = games[gameId];
-    if (!game) { socket.emit('error', { message: 'Game not found' }); return; }
-    if (game.gamePhase !== 'lobby') { socket.emit('error', { message: 'Game already started' }); return; }
+  // Start game (host only)
+  handle(socket, 'startGame', ({ gameId, alias, token }) => {
+    const game = findGame(gameId);
+    requireHost(game, socket, alias, token, 'Only the host can start the game');
+    if (game.gamePhase !== 'lobby') throw new GameError('WRONG_PHASE', 'Game already started');
+    // Season seats nobody took by now are given up
+    const seated = game.players.filter(p => !p.reserved);
+    if (seated.length < game.settings.minPlayers) {
+      throw new GameError('NOT_ENOUGH_PLAYERS', `At least ${game.settings.minPlayers} players are needed to start`);
+    }
+    const unclaimed = game.players.length - seated.length;
+    game.players = seated;
 
     game.gamePhase = 'submission';
+    persist();
+    if (unclaimed) io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
     io.to(gameId).emit('gamePhaseChanged', { gamePhase: 'submission' });
+    startPhaseDeadline(game, gameId, 'submission');
     console.log(`Game ${gameId} started (submission phase)`);
   });
 
-  // Submit playlist
-  socket.on('submitPlaylist', ({ gameId, alias, playlist }) => {
-    const game = games[gameId];
-    if (!game || game.gamePhase !== 'submission') {
-      socket.emit('error', { message: 'Invalid game or phase' });
-      return;
+  // Kick a player or spectator (host only). Stalled players mid-game are skipped instead.
+  handle(socket, 'kickPlayer', ({ gameId, alias, target, token }) => {
+    const game = findGame(gameId);
+    requireHost(game, socket, alias, token, 'Only the host can kick players');
+    if (target === alias) throw new GameError('NOT_ALLOWED', 'The host cannot kick themselves', 'target');
+
+    const kicked = game.players.find(p => p.alias === target) || game.spectators.find(s => s.alias === target);
+    if (!kicked) throw new GameError('TARGET_NOT_FOUND', 'Player not found', 'target');
+    // Spectators can be removed any time; players only before elimination starts
+    if (game.players.includes(kicked) && game.gamePhase !== 'lobby' && game.gamePhase !== 'submission') {
+      throw new GameError('WRONG_PHASE', 'Players can only be kicked before elimination starts — skip them instead');
+    }
+
+    game.players = game.players.filter(p => p !== kicked);
+    game.spectators = game.spectators.filter(s => s !== kicked);
+    game.playlists = game.playlists.filter(pl => pl.alias !== target);
+    persist();
+
+    const kickedSocket = io.sockets.sockets.get(kicked.id);
+    if (kickedSocket) {
+      kickedSocket.emit('kicked', { gameId, by: alias });
+      kickedSocket.leave(gameId);
+    }
+
+    io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
+    io.to(gameId).emit('playlistsUpdated', game.playlists);
+    console.log(`👢 ${alias} kicked ${target} from game ${gameId}`);
+
+    // The kicked player may have been the last one we were waiting for
+    if (game.gamePhase === 'submission' && game.players.length > 0 && game.playlists.length === game.players.length) {
+      beginEliminationRounds(game, gameId);
     }
+  });
+
+  // Hand the host role to another player (host only)
+  handle(socket, 'transferHost', ({ gameId, alias, newHost, token }) => {
+    const game = findGame(gameId);
+    requireHost(game, socket, alias, token, 'Only the host can transfer the host role');
+    if (!game.players.some(p => p.alias === newHost && !p.reserved)) throw new GameError('TARGET_NOT_FOUND', 'Player not found', 'newHost');
+
+    game.host = newHost;
+    persist();
+
+    io.to(gameId).emit('playersUpdated', { ...playersPayload(game), gamePhase: game.gamePhase });
+    console.log(`👑 Host of game ${gameId} passed from ${alias} to ${newHost}`);
+  });
+
+  // Skip every player who hasn't eliminated yet so the round can advance (host only)
+  handle(socket, 'forceAdvance', ({ gameId, alias, token }) => {
+    const game = findGame(gameId);
+    requireHost(game, socket, alias, token, 'Only the host can skip players');
+    if (!game.gamePhase?.startsWith('elimination')) throw new GameError('WRONG_PHASE', 'Not in elimination phase');
+
+    const skipped = game.players.filter(p => isAwaitingElimination(game, p));
+    if (skipped.length === 0) throw new GameError('NOT_ALLOWED', 'Nobody to skip');
+
+    skipped.forEach(p => (p.hasSubmittedElimination = true));
+    persist();
+
+    const skippedAliases = skipped.map(p => p.alias);
+    io.to(gameId).emit('playersSkipped', { aliases: skippedAliases, round: game.currentRound });
+    console.log(`⏭️ Host ${alias} skipped ${skippedAliases.join(', ')} in round ${game.currentRound} of ${gameId}`);
+
+    checkRoundComplete(game, gameId);
+  });
+
+  // Mark a player as gone for good so the game can finish without them (host only)
+  handle(socket, 'markDeparted', ({ gameId, alias, target, token }) => {
+    const game = findGame(gameId);
+    requireHost(game, socket, alias, token, 'Only the host can mark players as departed');
+    if (!isMidGame(game)) throw new GameError('WRONG_PHASE', 'Players can only depart mid-game — kick them instead');
+    const player = game.players.find(p => p.alias === target);
+    if (!player || player.departed) throw new GameError('TARGET_NOT_FOUND', 'Player not found', 'target');
+
+    cancelGracePeriod(gameId, target);
+    departPlayer(game, gameId, target, `marked departed by ${alias}`);
+  });
+
+  // End the game early (host only)
+  handle(socket, 'endGame', ({ gameId, alias, token }) => {
+    const game = findGame(gameId);
+    requireHost(game, socket, alias, token, 'Only the host can end the game');
+    if (isGameOver(game)) throw new GameError('WRONG_PHASE', 'Game is already over');
+
+    game.gamePhase = 'ended';
+    game.finishedAt = Date.now();
+    stopPhaseDeadline(game, gameId);
+    persist();
+
+    io.to(gameId).emit('gameEnded', { endedBy: alias, playlists: game.playlists });
+    console.log(`🛑 Game ${gameId} ended early by host ${alias}`);
+  });
+
+  // Host closes the final vote early and counts the ballots cast so far
+  handle(socket, 'closeVoting', ({ gameId, alias, token }) => {
+    const game = findGame(gameId);
+    if (game.gamePhase !== 'final_mix') throw new GameError('WRONG_PHASE', 'Voting is not open');
+    requireHost(game, socket, alias, token, 'Only the host can close voting');
+
+    console.log(`🗳️ Host ${alias} closed voting in ${gameId} with ${votesPayload(game).votesIn}/${votesPayload(game).eligible} votes`);
+    tallyVotes(game, gameId);
+  });
+
+  // Submit playlist
+  handle(socket, 'submitPlaylist', ({ gameId, alias, playlist, token }) => {
+    const game = findGame(gameId);
+    if (game.gamePhase !== 'submission') throw new GameError('WRONG_PHASE', 'Playlists can only be submitted before elimination starts');
 
     socket.gameId = gameId;
-    const player = getOrUpdatePlayer(game, socket, alias, true);
-    if (!player) { socket.emit('error', { message: 'Player not found' }); return; }
+    const player = requirePlayer(game, socket, alias, token);
 
     // Avoid duplicate playlist submissions by alias
-    if (game.playlists.some(p => p.alias === alias)) {
-      socket.emit('error', { message: 'Playlist already submitted' });
-      return;
-    }
+    if (game.playlists.some(p => p.alias === alias)) throw new GameError('ALREADY_SUBMITTED', 'Playlist already submitted');
+
+    // playlist may be an array of songs, raw text (M3U, XSPF, CSV or "Artist - Title <url>" lines)
+    // or { text, format } to skip format detection
+    let items = playlist;
+    if (typeof playlist === 'string') items = parsePlaylist(playlist).songs;
+    else if (typeof playlist.text === 'string') items = parsePlaylist(playlist.text, playlist.format).songs;
+    if (!Array.isArray(items)) throw new GameError('INVALID_PLAYLIST', 'Unrecognized playlist', 'playlist');
 
     // Normalize songs -> ensure each item is an object with id, artist, title, link
-    const normalizedSongs = (playlist || []).map(item => {
-      if (!item || typeof item === 'string') {
-        return { id: makeId(), artist: '', title: (item || '').toString(), link: '', eliminated: false, eliminatedRound: null, eliminatedBy: null, comment: null };
-      }
+    const normalizedSongs = items.map(item => {
+      if (!item || typeof item === 'string') item = parseLine(item || '');
       return { id: item.id || makeId(), artist: item.artist || '', title: item.title || '', link: item.link || '', eliminated: false, eliminatedRound: null, eliminatedBy: null, comment: null };
     });
 
+    // Enforce the game's rules
+    const rules = game.settings;
+    if (normalizedSongs.length !== rules.playlistLength) {
+      throw new GameError('INVALID_PLAYLIST', `Playlists must have exactly ${rules.playlistLength} songs`, 'playlist');
+    }
+    const untitled = normalizedSongs.findIndex(song => !song.title.trim());
+    if (untitled !== -1) throw new GameError('INVALID_PLAYLIST', 'Every song needs a title', `playlist.${untitled}.title`);
+    const unlinked = rules.linkRequired ? normalizedSongs.findIndex(song => !song.link.trim()) : -1;
+    if (unlinked !== -1) throw new GameError('INVALID_PLAYLIST', 'Every song needs a link in this game', `playlist.${unlinked}.link`);
+
+    // Recognise YouTube / Spotify / SoundCloud / Apple Music / Bandcamp links and store them canonically
+    for (const [idx, song] of normalizedSongs.entries()) {
+      const { error, link, provider, providerId, kind } = normalizeLink(song.link);
+      if (error) throw new GameError('INVALID_PLAYLIST', `Song ${idx + 1}: ${error}`, `playlist.${idx}.link`);
+      Object.assign(song, { link, provider, providerId, providerKind: kind });
+    }
+
+    // The same song twice in this playlist, or already in someone else's
+    const duplicates = rules.duplicatePolicy === 'allow' ? [] : findDuplicates(alias, normalizedSongs, game.playlists);
+    if (duplicates.length && rules.duplicatePolicy === 'reject') {
+      throw new GameError('DUPLICATE_SONGS', `Duplicate songs: ${describeDuplicates(alias, duplicates)}`, `playlist.${duplicates[0].index}`);
+    }
+    if (duplicates.length) {
+      socket.emit('playlistWarning', {
+        message: `Heads up — ${describeDuplicates(alias, duplicates)}`,
+        duplicates: duplicates.map(({ index, matchedBy, alias: owner, otherIndex }) => ({ index, matchedBy, alias: owner, otherIndex }))
+      });
+    }
+
     player.playlist = normalizedSongs;
 
     game.playlists.push({ alias, songs: normalizedSongs, eliminationLog: [] });
+    persist();
 
     io.to(gameId).emit('playlistSubmitted', { alias });
     io.to(gameId).emit('playlistsUpdated', game.playlists);
@@ -486,300 +1335,316 @@ io.on('connection', socket => {
 
     // If everyone submitted -> build assignments and start elimination_round_1
     if (game.playlists.length === game.players.length) {
-      // 🔧 Build stable alias→playlistIndex map
-      const aliases = game.players.map(p => p.alias);
-
-      game.aliasToPlaylistIndex = {};
-      let aliasIdx = 0;
-      for (const alias of aliases) {
-        game.aliasToPlaylistIndex[alias] = aliasIdx;
-        aliasIdx++;
-      }
-      game.playlists.sort((a,b) => game.aliasToPlaylistIndex[a.alias] - game.aliasToPlaylistIndex[b.alias]);
-
-
-      game.assignedPlaylists = assignPlaylistsToPlayers(game);
-      game.currentRound = 1;
-      game.maxRounds = computeMaxRounds(game);
-      game.gamePhase = `elimination_round_${game.currentRound}`;
-
-      io.to(gameId).emit('gamePhaseChanged', {
-        gamePhase: game.gamePhase,
-        assignedPlaylists: game.assignedPlaylists,
-        playlists: game.playlists,
-        round: game.currentRound
-      });
-
-      console.log(`All playlists in. ${gameId} -> ${game.gamePhase}`);
+      beginEliminationRounds(game, gameId);
     }
   });
 
-  // // Submit elimination: player eliminates one song from an assigned playlist
-  // socket.on('submitElimination', ({ gameId, alias, playlistIndex, eliminatedSongIndex, comment }) => {
-  //   const game = games[gameId];
-  //   if (!game) { socket.emit('error', { message: 'Game not found' }); return; }
-  //   if (!game.gamePhase || !game.gamePhase.startsWith('elimination')) {
-  //     socket.emit('error', { message: 'Not in elimination phase' }); return;
-  //   }
-
-  //   // validate player
-  //   const player = getOrUpdatePlayer(game, socket, alias, false);
-  //   if (!player) { socket.emit('error', { message: 'Player not recognized' }); return; }
-
-  //   // ensure player is assigned to that playlist
-  //   const assignedIndex = game.assignedPlaylists?.[alias];
-  //   if (assignedIndex === undefined || assignedIndex !== playlistIndex) {
-  //     socket.emit('error', { message: 'You are not assigned to that playlist' }); return;
-  //   }
-
-  //   const playlist = game.playlists[playlistIndex];
-  //   if (!playlist) { socket.emit('error', { message: 'Playlist not found' }); return; }
-
-  //   // Protect: player should never be allowed to eliminate from their own playlist (server-side check)
-  //   if (playlist.alias === alias) {
-  //     socket.emit('error', { message: 'Cannot eliminate from your own playlist' }); return;
-  //   }
-
-  //   // validate song index
-  //   if (!Number.isInteger(eliminatedSongIndex) || eliminatedSongIndex < 0 || eliminatedSongIndex >= playlist.songs.length) {
-  //     socket.emit('error', { message: 'Invalid song index' }); return;
-  //   }
-
-  //   const song = playlist.songs[eliminatedSongIndex];
-  //   if (!song) { socket.emit('error', { message: 'Song not found' }); return; }
-  //   if (song.eliminated) {
-  //     socket.emit('error', { message: 'Song already eliminated' }); return;
-  //   }
-
-  //   // mark eliminated on song object (do NOT remove from array)
-  //   song.eliminated = true;
-  //   song.eliminatedRound = game.currentRound || 1;
-  //   song.eliminatedBy = alias;
-  //   song.comment = comment || '';
-
-  //   // add to playlist's eliminationLog for stable history
-  //   playlist.eliminationLog = playlist.eliminationLog || [];
-  //   playlist.eliminationLog.push({
-  //     songInfo: { artist: song.artist, title: song.title, link: song.link },
-  //     eliminatedRound: song.eliminatedRound,
-  //     eliminatedBy: alias,
-  //     comment: song.comment
-  //   });
-
-  //   // mark that player submitted this round
-  //   player.hasSubmittedElimination = true;
-  //   console.log(`Elimination received from ${alias} (socket=${socket.id})`);
-
-  //   // broadcast updated playlists and note per-player submit status
-  //   io.to(gameId).emit('playlistsUpdated', game.playlists);
-  //   io.to(gameId).emit('playerEliminationSubmitted', { alias });
-  //   console.log(`${alias} marked as submitted`);
-  //   console.log('Submitted eliminations so far:', game.players.map(p => `${p.alias}:${p.hasSubmittedElimination}`));
-
-  //   // 🧩 Recompute submission map defensively
-  //   const aliases = game.players.map(p => p.alias);
-  //   const submissionStatus = aliases.map(a => ({
-  //     alias: a,
-  //     submitted: !!game.players.find(p => p.alias === a)?.hasSubmittedElimination
-  //   }));
-  //   console.log(`Round ${game.currentRound}: submission status:`, submissionStatus);
-
-  //   // 🧩 Safely check if everyone submitted
-  //   const allSubmitted = submissionStatus.every(s => s.submitted === true);
-
-  //   if (allSubmitted) {
-  //     console.log(`✅ All players submitted eliminations for round ${game.currentRound} in game ${gameId}`);
-
-  //     // 🔒 Lock phase to prevent duplicate advances
-  //     if (game._roundLocked) {
-  //       console.warn(`Round ${game.currentRound} already locked for game ${gameId}, skipping duplicate advance.`);
-  //       return;
-  //     }
-  //     game._roundLocked = true;
-
-  //     // 🕐 Small delay gives final player's client time to render their "submission success" state
-  //     setTimeout(() => {
-  //       try {
-  //         // Ensure game still exists and hasn't advanced already
-  //         const stillSameGame = games[gameId] && games[gameId].currentRound === game.currentRound;
-  //         if (stillSameGame) {
-  //           // 🧩 Better diagnostic payload for next phase emission
-  //           console.log('Emitting gamePhaseChanged with payload:', {
-  //             phase: game.gamePhase,
-  //             round: game.currentRound,
-  //             assignedPlaylists: game.assignedPlaylists,
-  //             playlistCount: game.playlists?.length,
-  //             nextAdvancePlanned: game.currentRound + 1
-  //           });
-
-  //           advanceAfterRound(game, gameId);
-
-  //         } else {
-  //           console.warn(`Skipping advanceAfterRound for ${gameId} — game state already advanced.`);
-  //         }
-  //       } catch (err) {
-  //         console.error(`🚨 Error during advanceAfterRound for ${gameId}:`, err);
-  //       }
-  //     }, 500); // 0.5s delay — tweak if needed
-  //   }
-  // });
-
-  socket.on('submitElimination', (payload) => {
-    try {
-      const { gameId, alias, playlistIndex, eliminatedSongIndex, comment } = payload || {};
-      console.log(`🟢 Received elimination payload from ${alias}:`, payload);
-
-      const game = games[gameId];
-      if (!game) throw new Error(`Game ${gameId} not found`);
-      if (!game.gamePhase?.startsWith('elimination')) throw new Error('Not in elimination phase');
-
-      const player = getOrUpdatePlayer(game, socket, alias, false);
-      if (!player) throw new Error(`Player ${alias} not recognized`);
-
-      const assignedIndex = game.assignedPlaylists?.[alias];
-      if (assignedIndex !== playlistIndex)
-        throw new Error(`Player ${alias} not assigned to playlist ${playlistIndex}`);
-
-      const playlist = game.playlists?.[playlistIndex];
-      if (!playlist) throw new Error(`Playlist ${playlistIndex} missing`);
-      if (playlist.alias === alias) throw new Error('Player eliminating own playlist');
-      if (eliminatedSongIndex < 0 || eliminatedSongIndex >= playlist.songs.length)
-        throw new Error('Invalid song index');
-
-      const song = playlist.songs[eliminatedSongIndex];
-      if (!song) throw new Error('Song not found');
-      if (song.eliminated) throw new Error('Song already eliminated');
-
-      // 🔧 Apply elimination
-      song.eliminated = true;
-      song.eliminatedRound = game.currentRound ?? 1;
-      song.eliminatedBy = alias;
-      song.comment = comment || '';
-
-      playlist.eliminationLog = playlist.eliminationLog || [];
-      playlist.eliminationLog.push({
-        songInfo: { artist: song.artist, title: song.title, link: song.link },
-        eliminatedRound: song.eliminatedRound,
-        eliminatedBy: alias,
-        comment: song.comment,
-      });
-
-      player.hasSubmittedElimination = true;
-      console.log(`✅ ${alias} marked as submitted`);
-
-      io.to(gameId).emit('playlistsUpdated', game.playlists);
-      io.to(gameId).emit('playerEliminationSubmitted', { alias });
+  handle(socket, 'submitElimination', (payload) => {
+    const { gameId, alias, token, playlistIndex, eliminatedSongIndex, eliminatedSongIndices, comment } = payload;
+    console.log(`🟢 Received elimination payload from ${alias}:`, payload);
+
+    const game = findGame(gameId);
+    if (!game.gamePhase?.startsWith('elimination')) throw new GameError('WRONG_PHASE', 'Not in elimination phase');
+
+    const player = requirePlayer(game, socket, alias, token);
+    if (player.hasSubmittedElimination) throw new GameError('ALREADY_SUBMITTED', 'Elimination already submitted this round');
+
+    const assignedIndex = game.assignedPlaylists?.[alias];
+    if (assignedIndex !== playlistIndex)
+      throw new GameError('INVALID_ELIMINATION', `Player ${alias} not assigned to playlist ${playlistIndex}`, 'playlistIndex');
+
+    const playlist = game.playlists?.[playlistIndex];
+    if (!playlist) throw new GameError('INVALID_ELIMINATION', `Playlist ${playlistIndex} missing`, 'playlistIndex');
+    if (playlist.alias === alias) throw new GameError('INVALID_ELIMINATION', 'Player eliminating own playlist', 'playlistIndex');
+
+    // One index (eliminatedSongIndex) or several (eliminatedSongIndices) when eliminationsPerRound > 1
+    const field = Array.isArray(eliminatedSongIndices) ? 'eliminatedSongIndices' : 'eliminatedSongIndex';
+    const indices = Array.isArray(eliminatedSongIndices) ? eliminatedSongIndices : [eliminatedSongIndex];
+    const required = cutsThisRound(game, playlist.songs.filter(s => !s.eliminated).length);
+    if (new Set(indices).size !== indices.length || indices.length !== required)
+      throw new GameError('INVALID_ELIMINATION', `Eliminate exactly ${required} song${required === 1 ? '' : 's'} this round`, field);
+
+    const songs = indices.map(index => {
+      if (!Number.isInteger(index) || index < 0 || index >= playlist.songs.length)
+        throw new GameError('INVALID_ELIMINATION', 'Invalid song index', field);
+      const song = playlist.songs[index];
+      if (!song) throw new GameError('INVALID_ELIMINATION', 'Song not found', field);
+      if (song.eliminated) throw new GameError('INVALID_ELIMINATION', 'Song already eliminated', field);
+      return song;
+    });
 
-      const allSubmitted = game.players.every(p => !!p.hasSubmittedElimination);
-      console.log(`📊 Round ${game.currentRound} submission map:`,
-        game.players.map(p => `${p.alias}:${p.hasSubmittedElimination}`).join(', '));
+    const text = (comment || '').trim();
+    if (game.settings.commentaryRequired && !text) throw new GameError('INVALID_ELIMINATION', 'Commentary is required in this game', 'comment');
+    if (text.length > game.settings.commentMaxLength)
+      throw new GameError('INVALID_ELIMINATION', `Commentary is limited to ${game.settings.commentMaxLength} characters`, 'comment');
 
-      if (allSubmitted) {
-        console.log(`🎯 All players submitted eliminations for round ${game.currentRound}`);
+    // 🔧 Apply elimination
+    songs.forEach(song => applyElimination(game, playlist, song, alias, text));
 
-        if (game._roundLocked) {
-          console.warn('Duplicate round lock—skipping advance');
-          return;
-        }
-        game._roundLocked = true;
+    player.hasSubmittedElimination = true;
+    persist();
+    console.log(`✅ ${alias} marked as submitted`);
 
-        setTimeout(() => {
-          try {
-            const stillSame = games[gameId]?.currentRound === game.currentRound;
-            if (!stillSame) return console.warn('Skipping advance—game already moved on');
+    io.to(gameId).emit('playlistsUpdated', game.playlists);
+    io.to(gameId).emit('playerEliminationSubmitted', { alias });
 
-            console.log('➡️ Calling advanceAfterRound...');
-            advanceAfterRound(game, gameId);
-          } catch (err) {
-            console.error('💥 advanceAfterRound crash:', err);
-          }
-        }, 500);
-      }
-    } catch (err) {
-      console.error(`💥 submitElimination error for ${payload?.alias}:`, err);
-      socket.emit('error', { message: err.message });
-    }
+    checkRoundComplete(game, gameId);
   });
 
-  socket.on("requestEliminationHistory", ({ gameCode }) => {
-    const game = games[gameCode];
-    if (!game) return;
+  // Winner prediction (side game, settings.predictions): one secret pick per player, locked in
+  // before they vote and revealed with the results
+  handle(socket, 'predictWinner', ({ gameId, alias, token, playlistIndex }) => {
+    const game = findGame(gameId);
+    if (!game.settings?.predictions) throw new GameError('NOT_ALLOWED', "This game doesn't have predictions");
+    if (game.gamePhase !== 'final_mix') throw new GameError('WRONG_PHASE', 'Predictions are made once the final mix is ready');
+    const player = requirePlayer(game, socket, alias, token);
+    if (player.departed) throw new GameError('NOT_ALLOWED', 'You have left this game');
+
+    game.predictions = game.predictions || {};
+    if (game.predictions[alias] !== undefined) throw new GameError('ALREADY_SUBMITTED', 'Your prediction is already locked in');
+    if (game.runoff || game.votes?.[alias] !== undefined) {
+      throw new GameError('NOT_ALLOWED', 'Predictions close once you have voted');
+    }
+    if (!game.finalMix.some(entry => entry.playlistIndex === playlistIndex)) {
+      throw new GameError('TARGET_NOT_FOUND', 'That song is not in the final mix', 'playlistIndex');
+    }
 
-    socket.emit("eliminationHistory", {
-      history: game.eliminationHistory,
-      playlists: game.playlists,
-    });
+    game.predictions[alias] = playlistIndex;
+    persist();
+    const predictionsIn = Object.keys(game.predictions).length;
+    io.to(gameId).emit('predictionMade', { alias, predictionsIn });
+    console.log(`🔮 ${alias} locked in a prediction in game ${gameId} (${predictionsIn} so far)`);
   });
 
+  // Votes in final_mix: payload { gameId, alias, chosen } — a playlist index, or a list of them for
+  // ranked / Borda / approval ballots. A vote can be changed until voting closes.
+  handle(socket, 'finalVote', ({ gameId, alias, chosen, token }) => {
+    const game = findGame(gameId);
+    if (game.gamePhase !== 'final_mix') throw new GameError('WRONG_PHASE', 'Voting is closed');
 
-  // Votes in final_mix: payload { gameId, alias, chosenPlaylistIndex } or chosenSongId
-  socket.on('finalVote', ({ gameId, alias, chosen }) => {
-    const game = games[gameId];
-    if (!game || game.gamePhase !== 'final_mix') { socket.emit('error', { message: 'Not in final mix' }); return; }
+    const player = authenticatePlayer(game, socket, alias, token);
+    const spectator = player ? null : authenticateSpectator(game, socket, alias, token);
+    if (!player && !spectator) throw new GameError('UNAUTHORIZED', 'Player not found');
+    if (player?.departed) throw new GameError('NOT_ALLOWED', 'You have left this game');
+    if (spectator && !game.settings?.spectatorsCanVote) throw new GameError('NOT_ALLOWED', 'Spectators cannot vote in this game');
 
-    const player = getOrUpdatePlayer(game, socket, alias, false);
-    if (!player) { socket.emit('error', { message: 'Player not found' }); return; }
+    const { ballot, error } = checkBallot(game, alias, chosen);
+    if (error) throw new GameError('INVALID_BALLOT', error, 'chosen');
 
-    // record vote (chosen must uniquely identify an entry in game.finalMix)
     game.votes = game.votes || {};
-    game.votes[alias] = chosen;
+    const changed = game.votes[alias] !== undefined;
+    game.votes[alias] = ballot;
+    persist();
 
-    io.to(gameId).emit('voteSubmitted', { alias });
+    const progress = votesPayload(game);
+    io.to(gameId).emit('voteSubmitted', { alias, changed, ...progress });
+    console.log(`Vote ${changed ? 'changed' : 'cast'} by ${alias}: ${ballot.join(' > ')}. Total votes: ${progress.votesIn}/${progress.eligible}`);
 
-    // when all players voted -> tally
-    const voteCount = Object.keys(game.votes).length;
-    console.log(`Vote from ${alias}: chosen=${chosen}. Total votes: ${voteCount}/${game.players.length}`);
+    // Voting closes by itself once every eligible voter is in
+    if (allVotesIn(game)) {
+      tallyVotes(game, gameId);
+    }
+  });
 
-    if (voteCount === game.players.length) {
-      // tally: chosen may be {playlistIndex, songId} or just a song id; allow flexible shape
-      const tally = {}; // key->count
-      for (const v of Object.values(game.votes)) {
-        const key = (typeof v === 'object' && v.playlistIndex !== undefined) ? v.playlistIndex : v;
-        tally[key] = (tally[key] || 0) + 1;
-      }
-      console.log('Tally:', tally);
+  // Lobby browser: get the public games now and 'lobbyUpdated' whenever they change
+  handle(socket, 'watchLobby', () => {
+    socket.join(LOBBY_ROOM);
+    return { games: publicGames(games) };
+  });
 
-      // find winner keys with max votes
-      const maxVotes = Math.max(...Object.values(tally));
-      const winners = Object.entries(tally).filter(([k, c]) => c === maxVotes).map(([k]) => k);
-      console.log('Winners:', winners);
+  handle(socket, 'unwatchLobby', () => {
+    socket.leave(LOBBY_ROOM);
+  });
 
-      console.log('finalMix snapshot:', JSON.stringify(game.finalMix, null, 2));
-      console.log('Winner keys being looked up:', winners);
+  // New player profile; the client keeps the token and sends { id, token } as profile when creating or joining games
+  handle(socket, 'createProfile', ({ name }) => {
+    const { profile, token } = createProfile(profiles, name);
+    persistProfiles();
+    console.log(`🪪 Profile ${profile.id} created for ${profile.name}`);
+    return { profile: publicProfile(profile), token };
+  });
 
+  // New season: a roster, game settings and scoring rules shared by a series of games.
+  // The organizer keeps the seasonToken to start each game
+  handle(socket, 'createSeason', ({ name, alias, password, roster, settings, scoring }) => {
+    // Every season game seats the whole roster, so it has to fit in one game
+    const gameSettings = normalizeSettings(settings);
+    const members = seasonRoster(alias, roster).length;
+    if (members > gameSettings.maxPlayers) {
+      throw new GameError('NOT_ALLOWED', `The roster has ${members} players but games take at most ${gameSettings.maxPlayers}`, 'roster');
+    }
 
-      // Build a human-friendly result: map winners to song info
-      const results = winners.map(w => {
-          const fm = game.finalMix.find(f => f.playlistIndex === parseInt(w));
-          return { 
-            playlistIndex: parseInt(w), 
-            originAlias: fm?.originAlias, 
-            song: fm?.song, 
-            votes: tally[w] 
-          };
-        } 
-      );
+    const { season, token } = createSeason(seasons, {
+      name,
+      password,
+      host: alias,
+      roster,
+      settings: gameSettings,
+      scoring
+    });
+    persistSeasons();
+    console.log(`🏅 Season ${season.name} (${season.id}) created by ${alias}: ${season.roster.join(', ')}`);
+    return { season: seasonPayload(season), seasonToken: token };
+  });
 
-      console.log('Tally:', tally);
-      console.log('Results computed:', results);
+  // Next game of a season (organizer only): hosted by the organizer, with the season's settings
+  // and password, and seats kept for the roster. One season game runs at a time
+  handle(socket, 'startSeasonGame', ({ seasonId, seasonToken, gameId, profile: credentials }) => {
+    const season = seasons[seasonId];
+    if (!season) throw new GameError('SEASON_NOT_FOUND', 'Season not found', 'seasonId');
+    if (!tokenMatches(season, seasonToken)) throw new GameError('UNAUTHORIZED', 'Only the season organizer can start its games');
+
+    const running = season.games.find(id => games[id] && !isGameOver(games[id]));
+    if (running) throw new GameError('NOT_ALLOWED', `Season game ${running} isn't over yet`);
+
+    const previous = season.games[season.games.length - 1];
+    openGame(socket, gameId, { password: season.password, alias: season.host, credentials, settings: season.settings, season });
+    season.games.push(gameId);
+    persistSeasons();
+    // Whoever is still looking at the last game's results is invited straight to the next one
+    if (previous) io.to(previous).emit('seasonGameStarted', { seasonId: season.id, gameId, host: season.host });
+    console.log(`🏅 Season ${season.id} game ${season.games.length}: ${gameId}`);
+    return { season: seasonPayload(season) };
+  });
 
+  // Chat message to everyone in the game room
+  handle(socket, 'sendChat', ({ gameId, alias, token, text }) => {
+    const game = findGame(gameId);
+    requireMember(game, socket, alias, token);
 
-      // finalize
-      io.to(gameId).emit('finalResults', { results, tally });
-      console.log(`Final results for game ${gameId}:`, results);
+    const message = addChatMessage(game, alias, text, makeId());
+    persist();
+    io.to(gameId).emit('chatMessage', message);
+  });
 
-      // optionally set game state to finished
-      game.gamePhase = 'finished';
-    }
+  // Toggle an emoji reaction on an elimination (with its comment) or a final-mix song
+  handle(socket, 'react', ({ gameId, alias, token, target, emoji }) => {
+    const game = findGame(gameId);
+    requireMember(game, socket, alias, token);
+
+    const item = findReactionTarget(game, target);
+    if (!item) throw new GameError('TARGET_NOT_FOUND', 'Nothing to react to there', 'target');
+
+    const reactions = toggleReaction(item, emoji, alias);
+    persist();
+    const { kind, playlistIndex, songId = null } = target;
+    io.to(gameId).emit('reactionsUpdated', { target: { kind, playlistIndex, songId }, reactions });
   });
 
   // Disconnect: do not remove player records so they can rejoin
   socket.on('disconnect', () => {
     console.log('Socket disconnected:', socket.id);
+    forgetSocket(socket.id);
     // (no removal of players; rejoin supported)
+
+    // Mid-game, a player who doesn't come back within the grace period counts as departed
+    const game = games[socket.gameId];
+    const player = game?.players.find(p => p.id === socket.id);
+    const grace = game?.settings?.departGraceSeconds;
+    if (player && !player.departed && grace && isMidGame(game)) {
+      startGracePeriod(socket.gameId, player.alias, grace, onGracePeriodOver);
+    }
   });
 });
 
+/* -----------------------
+   Startup recovery / shutdown
+   ----------------------- */
+
+for (const [gameId, game] of Object.entries(games)) {
+  // Games saved by older versions: the creator is always players[0]; missing settings get the defaults
+  if (!game.host) game.host = game.players[0]?.alias;
+  if (!Array.isArray(game.spectators)) game.spectators = [];
+  game.settings = normalizeSettings(game.settings);
+  // Idle time is counted from now for games saved before activity was tracked
+  if (!game.lastActivityAt) game.lastActivityAt = Date.now();
+
+  // A restart can land between "everyone submitted" and the delayed advanceAfterRound call.
+  // Those rounds would otherwise wait forever, so finish them now.
+  const inElimination = game.gamePhase?.startsWith('elimination');
+  if (inElimination && game.players.length > 0 && game.players.every(p => !!p.hasSubmittedElimination)) {
+    console.log(`♻️ Resuming round ${game.currentRound} of restored game ${gameId}`);
+    clearDeadline(game, gameId);
+    advanceAfterRound(game, gameId);
+    continue;
+  }
+
+  // Deadlines keep counting while the server is down; expired ones fire right away
+  resumeDeadline(game, gameId, onDeadline);
+
+  // Nobody is connected after a restart: everyone mid-game gets a fresh grace period to rejoin
+  const grace = game.settings?.departGraceSeconds;
+  if (grace && isMidGame(game)) {
+    game.players.filter(p => !p.departed).forEach(p => startGracePeriod(gameId, p.alias, grace, onGracePeriodOver));
+  }
+}
+
+/* -----------------------
+   Expiry: abandoned and finished games leave memory
+   ----------------------- */
+
+/**
+ * Remove a game whose time is up: archived, or just dropped for an untouched lobby.
+ * Anyone still in its room is told and taken out, and the game ID is free again.
+ */
+function expireGame(gameId, game, plan) {
+  stopPhaseDeadline(game, gameId);
+  if (plan.action === 'archive') {
+    archiveGame(archive, gameId, game, plan.status);
+    persistArchive();
+  }
+  delete games[gameId];
+  persist();
+
+  io.to(gameId).emit('gameExpired', { gameId, archived: plan.action === 'archive', status: plan.status });
+  io.in(gameId).socketsLeave(gameId);
+  console.log(`🧹 Game ${gameId} (${game.gamePhase}) ${plan.action === 'archive' ? `archived as ${plan.status}` : 'discarded'}`);
+}
+
+/**
+ * Expire every game whose time is up, and warn the rooms of games that are about to go.
+ */
+function sweepGames() {
+  const rules = LIMITS.expiry;
+  const now = Date.now();
+  for (const [gameId, game] of Object.entries(games)) {
+    const plan = expiryPlan(game, rules, now);
+    if (now >= plan.expiresAt) {
+      expireGame(gameId, game, plan);
+      continue;
+    }
+    // One warning per deadline; activity that pushes the deadline back earns a new one later
+    if (plan.expiresAt - now <= rules.warnMinutes * 60 * 1000 && game._expiryWarnedFor !== plan.expiresAt) {
+      game._expiryWarnedFor = plan.expiresAt;
+      io.to(gameId).emit('gameExpiring', {
+        gameId,
+        expiresAt: plan.expiresAt,
+        serverTime: now,
+        archived: plan.action === 'archive',
+        idle: !isGameOver(game)
+      });
+    }
+  }
+}
+
+setInterval(sweepGames, LIMITS.expiry.sweepSeconds * 1000).unref();
+
+function shutdown(signal) {
+  console.log(`${signal} received — saving games before exit`);
+  try {
+    saveGamesNow(games);
+    saveProfilesNow(profiles);
+    saveSeasonsNow(seasons);
+    saveArchiveNow(archive);
+  } catch (err) {
+    console.error('🚨 Failed to save games on shutdown:', err);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 /* -----------------------
    End of file
    ----------------------- */
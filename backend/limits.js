@@ -0,0 +1,157 @@
+// backend/limits.js
+const crypto = require('crypto');
+
+/* -----------------------
+   Abuse protection: rate limits and size caps
+   ----------------------- */
+
+const DEFAULT_LIMITS = {
+  // Largest event payload accepted, in bytes of JSON
+  maxPayloadBytes: 64 * 1024,
+  // Field caps, applied by the payload schemas in protocol.js
+  maxGameIdLength: 64,
+  maxAliasLength: 40,
+  maxPasswordLength: 128,
+  maxCommentLength: 1000,
+  maxPlaylistSongs: 20,
+  maxPlaylistTextLength: 20000,
+  maxSongFieldLength: 300, // artist or title
+  maxLinkLength: 2000,
+  // Chat: longest message, and how many messages a game keeps (oldest are dropped)
+  maxChatLength: 500,
+  maxChatMessages: 200,
+  // Aliases on a season's roster
+  maxSeasonRoster: 30,
+  // Games one client (by IP) may have running at once; finished and ended games don't count
+  maxOpenGamesPerClient: 3,
+  // Requests allowed per window, per socket and per IP. Events without an entry of their own use 'default'.
+  rates: {
+    default: { perSocket: 30, perIp: 120, windowSeconds: 10 },
+    createGame: { perSocket: 3, perIp: 6, windowSeconds: 60 },
+    joinGame: { perSocket: 5, perIp: 30, windowSeconds: 60 },
+    rejoinGame: { perSocket: 10, perIp: 60, windowSeconds: 60 },
+    submitPlaylist: { perSocket: 10, perIp: 60, windowSeconds: 60 },
+    sendChat: { perSocket: 10, perIp: 40, windowSeconds: 10 },
+    createProfile: { perSocket: 3, perIp: 10, windowSeconds: 60 },
+    createSeason: { perSocket: 3, perIp: 6, windowSeconds: 60 },
+    startSeasonGame: { perSocket: 3, perIp: 6, windowSeconds: 60 }
+  },
+  // Rejected requests a socket may rack up within strikeWindowSeconds before it is disconnected
+  maxStrikes: 10,
+  strikeWindowSeconds: 60,
+  // Proxies in front of the server that append to X-Forwarded-For (true means one, e.g. Render's).
+  // Off by default: without a proxy the header is whatever the client wrote, so it can't be trusted.
+  // Deployments behind a proxy turn it on with LIMITS='{"trustProxy":true}'
+  trustProxy: false,
+  // When games leave memory (see archive.js): lobbies nobody touched for lobbyIdleMinutes are thrown away;
+  // half-played games idle for gameIdleMinutes, and games finishedMinutes after they ended, move to the
+  // read-only archive. Players still connected are warned warnMinutes ahead. The sweep runs every sweepSeconds.
+  expiry: {
+    lobbyIdleMinutes: 60,
+    gameIdleMinutes: 12 * 60,
+    finishedMinutes: 60,
+    warnMinutes: 5,
+    sweepSeconds: 60
+  }
+};
+
+/**
+ * The defaults, with any overrides from the LIMITS environment variable (JSON), e.g.
+ * LIMITS='{"maxOpenGamesPerClient":5,"rates":{"createGame":{"perIp":20}},"expiry":{"finishedMinutes":1440}}'
+ */
+function loadLimits() {
+  if (!process.env.LIMITS) return DEFAULT_LIMITS;
+  try {
+    const overrides = JSON.parse(process.env.LIMITS);
+    const rates = { ...DEFAULT_LIMITS.rates };
+    for (const [event, rate] of Object.entries(overrides.rates || {})) {
+      rates[event] = { ...(DEFAULT_LIMITS.rates[event] || DEFAULT_LIMITS.rates.default), ...rate };
+    }
+    console.log('🛡️ Using custom limits:', process.env.LIMITS);
+    const expiry = { ...DEFAULT_LIMITS.expiry, ...overrides.expiry };
+    return { ...DEFAULT_LIMITS, ...overrides, rates, expiry };
+  } catch (err) {
+    console.error('🚨 Could not parse LIMITS, using the defaults:', err.message);
+    return DEFAULT_LIMITS;
+  }
+}
+
+const LIMITS = loadLimits();
+
+/* -----------------------
+   Client identity
+   ----------------------- */
+/**
+ * The address that connected to the first trusted proxy. Each proxy appends the address it saw,
+ * so with n proxies that's the n-th entry from the right; anything further left came from the client.
+ */
+function clientIp(socket) {
+  const hops = LIMITS.trustProxy === true ? 1 : Math.max(0, Math.floor(Number(LIMITS.trustProxy) || 0));
+  const forwarded = hops > 0 && socket.handshake.headers['x-forwarded-for'];
+  if (!forwarded) return String(socket.handshake.address).trim();
+  const entries = String(forwarded).split(',').map(entry => entry.trim()).filter(Boolean);
+  // Fewer entries than proxies means the header didn't come through them all: fall back to the socket
+  return entries[entries.length - hops] || String(socket.handshake.address).trim();
+}
+
+/**
+ * Stable, anonymous key for the client behind a socket, safe to store on a game
+ * (games.json never holds raw IP addresses).
+ */
+function clientKey(socket) {
+  return crypto.createHash('sha256').update(clientIp(socket)).digest('hex').slice(0, 16);
+}
+
+/* -----------------------
+   Rate limiting (fixed windows, kept in memory only)
+   ----------------------- */
+const counters = new Map(); // key -> { count, resetAt }
+const strikes = new Map(); // socket id -> timestamps of rejected requests
+
+function hit(key, max, windowMs, now) {
+  let counter = counters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+  counter.count++;
+  return counter.count > max ? counter.resetAt - now : 0;
+}
+
+/**
+ * Count one request for event from this socket. Returns the ms until it may try again,
+ * or 0 when it is within both its own and its IP's allowance.
+ */
+function takeRequest(socket, event) {
+  const rate = LIMITS.rates[event] || LIMITS.rates.default;
+  const windowMs = rate.windowSeconds * 1000;
+  const now = Date.now();
+  const bySocket = hit(`${event}:socket:${socket.id}`, rate.perSocket, windowMs, now);
+  const byIp = hit(`${event}:ip:${clientIp(socket)}`, rate.perIp, windowMs, now);
+  return Math.max(bySocket, byIp);
+}
+
+/**
+ * Record a rejected request. Returns true once the socket is over its strike allowance.
+ */
+function addStrike(socket) {
+  const now = Date.now();
+  const recent = (strikes.get(socket.id) || []).filter(t => t > now - LIMITS.strikeWindowSeconds * 1000);
+  recent.push(now);
+  strikes.set(socket.id, recent);
+  return recent.length > LIMITS.maxStrikes;
+}
+
+function forgetSocket(socketId) {
+  strikes.delete(socketId);
+}
+
+// Drop counters whose window is over so idle clients don't pile up
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}, 60 * 1000).unref();
+
+module.exports = { LIMITS, clientKey, takeRequest, addStrike, forgetSocket };
@@ -0,0 +1,132 @@
+// backend/links.js
+
+/* -----------------------
+   Music link recognition
+   ----------------------- */
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const SPOTIFY_ID = /^[A-Za-z0-9]{22}$/;
+const SPOTIFY_KINDS = ['track', 'album', 'playlist', 'episode'];
+const SLUG = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Provider recognisers. Each takes a parsed URL (host already lowercased, "www." and "m." stripped)
+ * and returns { provider, providerId, kind, link } with the canonical link, { error } when the URL
+ * belongs to the provider but doesn't point at anything playable, or null when it isn't theirs.
+ */
+function youtube(url, host) {
+  let id = null;
+  if (host === 'youtu.be') id = url.pathname.split('/')[1];
+  else if (host === 'youtube.com' || host === 'music.youtube.com' || host === 'youtube-nocookie.com') {
+    const [, first, second] = url.pathname.split('/');
+    if (first === 'watch') id = url.searchParams.get('v');
+    else if (['embed', 'shorts', 'live', 'v'].includes(first)) id = second;
+  } else {
+    return null;
+  }
+
+  if (!YOUTUBE_ID.test(id || '')) return { error: 'That YouTube link does not point at a video' };
+  return { provider: 'youtube', providerId: id, kind: 'video', link: `https://www.youtube.com/watch?v=${id}` };
+}
+
+function spotify(url, host) {
+  if (host !== 'open.spotify.com' && host !== 'play.spotify.com') return null;
+  // Localised links look like /intl-de/track/<id>
+  const parts = url.pathname.split('/').filter(Boolean).filter(part => !part.startsWith('intl-'));
+  const [kind, id] = parts;
+  if (!SPOTIFY_KINDS.includes(kind) || !SPOTIFY_ID.test(id || '')) {
+    return { error: 'That Spotify link does not point at a track, album, playlist or episode' };
+  }
+  return { provider: 'spotify', providerId: id, kind, link: `https://open.spotify.com/${kind}/${id}` };
+}
+
+function soundcloud(url, host) {
+  if (host === 'on.soundcloud.com') {
+    // Share short links can't be resolved offline; keep them as they are
+    const code = url.pathname.split('/')[1];
+    if (!code) return { error: 'That SoundCloud link is incomplete' };
+    return { provider: 'soundcloud', providerId: null, kind: 'track', link: `https://on.soundcloud.com/${code}` };
+  }
+  if (host !== 'soundcloud.com') return null;
+
+  const [user, track, extra] = url.pathname.split('/').filter(Boolean);
+  if (!SLUG.test(user || '') || !SLUG.test(track || '')) return { error: 'That SoundCloud link does not point at a track' };
+  const kind = track === 'sets' && extra ? 'playlist' : 'track';
+  const path = kind === 'playlist' ? `${user}/sets/${extra}` : `${user}/${track}`;
+  return { provider: 'soundcloud', providerId: path.toLowerCase(), kind, link: `https://soundcloud.com/${path.toLowerCase()}` };
+}
+
+function appleMusic(url, host) {
+  if (host !== 'music.apple.com' && host !== 'itunes.apple.com') return null;
+
+  // /<country>/album/<slug>/<albumId>?i=<trackId>, /<country>/song/<slug>/<songId>
+  const parts = url.pathname.split('/').filter(Boolean);
+  const country = /^[a-z]{2}$/i.test(parts[0] || '') ? parts.shift().toLowerCase() : 'us';
+  const [kind, slug, maybeId] = parts;
+  const id = (maybeId || slug || '').replace(/^id/, '');
+  if (!['album', 'song', 'playlist'].includes(kind) || !/^(\d+|pl\.[A-Za-z0-9-]+)$/.test(id)) {
+    return { error: 'That Apple Music link does not point at a song, album or playlist' };
+  }
+
+  const trackId = url.searchParams.get('i');
+  const slugPart = maybeId ? `${slug}/` : '';
+  if (kind === 'album' && trackId && /^\d+$/.test(trackId)) {
+    return { provider: 'apple', providerId: trackId, kind: 'track',
+      link: `https://music.apple.com/${country}/album/${slugPart}${id}?i=${trackId}` };
+  }
+  return { provider: 'apple', providerId: id, kind: kind === 'song' ? 'track' : kind,
+    link: `https://music.apple.com/${country}/${kind}/${slugPart}${id}` };
+}
+
+function bandcamp(url, host) {
+  if (!host.endsWith('.bandcamp.com')) return null;
+  const artist = host.slice(0, -'.bandcamp.com'.length);
+  const [kind, slug] = url.pathname.split('/').filter(Boolean);
+  if (!['track', 'album'].includes(kind) || !SLUG.test(slug || '')) {
+    return { error: 'That Bandcamp link does not point at a track or album' };
+  }
+  // Bandcamp's embed player needs a numeric id that isn't in the URL, so there's only a badge
+  return { provider: 'bandcamp', providerId: `${artist}/${kind}/${slug}`, kind, link: `https://${artist}.bandcamp.com/${kind}/${slug}` };
+}
+
+const PROVIDERS = [youtube, spotify, soundcloud, appleMusic, bandcamp];
+
+/**
+ * Spotify URIs (spotify:track:<id>) aren't URLs; turn them into one first.
+ */
+function fromSpotifyUri(raw) {
+  const match = raw.match(/^spotify:(track|album|playlist|episode):([A-Za-z0-9]+)$/);
+  return match ? `https://open.spotify.com/${match[1]}/${match[2]}` : raw;
+}
+
+/**
+ * Recognise and canonicalise a song link.
+ * Returns { link, provider, providerId, kind } — provider is null for an ordinary web link
+ * and everything is empty for no link — or { error } for a link that can't be used.
+ */
+function normalizeLink(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return { link: '', provider: null, providerId: null, kind: null };
+
+  let url;
+  try {
+    const candidate = fromSpotifyUri(text);
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate) ? candidate : `https://${candidate}`);
+  } catch {
+    return { error: `"${text}" is not a valid link` };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return { error: `"${text}" is not a web link` };
+  // Needs a real domain name (rules out "http://1", which URL would turn into 0.0.0.1)
+  if (!/\.[a-z][a-z0-9-]*$/i.test(url.hostname)) return { error: `"${text}" is not a valid link` };
+
+  const host = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  for (const recognise of PROVIDERS) {
+    const found = recognise(url, host);
+    if (found) return found;
+  }
+
+  url.hash = '';
+  return { link: url.toString(), provider: null, providerId: null, kind: null };
+}
+
+module.exports = { normalizeLink };
@@ -0,0 +1,75 @@
+// backend/lobby.js
+
+/* -----------------------
+   Public lobby: games anyone can find and join
+   ----------------------- */
+// Socket.IO room of the lobby browser's watchers. Game rooms are named after their game ID,
+// and a game ID can't contain ':' (see openGame in index.js), so the two never meet
+const LOBBY_ROOM = 'lobby:browser';
+const ANNOUNCE_DELAY_MS = 500;
+
+// Phases in the order players care about: games still taking players first
+const PHASE_ORDER = ['lobby', 'submission', 'elimination', 'final_mix'];
+
+function phaseRank(gamePhase) {
+  const rank = PHASE_ORDER.findIndex(phase => gamePhase?.startsWith(phase));
+  return rank === -1 ? PHASE_ORDER.length : rank;
+}
+
+/**
+ * How a public game shows up in the lobby list. Never includes the password, tokens or playlists.
+ */
+function lobbyEntry(gameId, game) {
+  // Season seats still waiting for their roster member don't count
+  const players = game.players.filter(p => !p.departed && !p.reserved).length;
+  const { maxPlayers } = game.settings;
+  return {
+    gameId,
+    name: game.settings.name || gameId,
+    host: game.host,
+    players,
+    maxPlayers,
+    spectators: game.spectators.length,
+    full: players >= maxPlayers,
+    gamePhase: game.gamePhase,
+    // Only lobby games take new players; the rest can be watched
+    joinable: game.gamePhase === 'lobby' && players < maxPlayers && !game.roster,
+    passwordProtected: !!game.password,
+    season: !!game.seasonId
+  };
+}
+
+/**
+ * Every public game that isn't over: games still taking players first, then the busiest.
+ */
+function publicGames(games) {
+  return Object.entries(games)
+    .filter(([, game]) => game.settings?.visibility === 'public' && game.gamePhase !== 'finished' && game.gamePhase !== 'ended')
+    .map(([gameId, game]) => lobbyEntry(gameId, game))
+    .sort((a, b) => phaseRank(a.gamePhase) - phaseRank(b.gamePhase) || b.players - a.players || a.name.localeCompare(b.name));
+}
+
+/**
+ * Keeps sockets watching the lobby up to date. announce() can be called on every change to any
+ * game: bursts collapse into one check, and 'lobbyUpdated' only goes out when the list really changed.
+ */
+function createLobbyAnnouncer(io, games) {
+  let timer = null;
+  let last = JSON.stringify(publicGames(games));
+
+  function announce() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      const list = publicGames(games);
+      const json = JSON.stringify(list);
+      if (json === last) return;
+      last = json;
+      io.to(LOBBY_ROOM).emit('lobbyUpdated', { games: list });
+    }, ANNOUNCE_DELAY_MS);
+  }
+
+  return { announce };
+}
+
+module.exports = { LOBBY_ROOM, lobbyEntry, publicGames, createLobbyAnnouncer };
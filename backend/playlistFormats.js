@@ -0,0 +1,318 @@
+// backend/playlistFormats.js
+const { publicSettings } = require('./settings');
+const { mainVoteCounts } = require('./scoring');
+
+/* -----------------------
+   Playlist and history file formats
+   ----------------------- */
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return String(value ?? '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * One CSV cell. Text players wrote that a spreadsheet would run as a formula
+ * (starting with =, +, -, @ or a control character) is prefixed with ' so it stays text.
+ */
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// M3U is line-based: a line break inside a field would start a new entry
+function m3uField(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Extended M3U. Songs without a link still get an #EXTINF line so the file
+ * reads as a track list, but players will skip them.
+ */
+function toM3U(title, songs) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${m3uField(title)}`];
+  for (const song of songs) {
+    lines.push(`#EXTINF:-1,${m3uField(song.artist)} - ${m3uField(song.title)}`);
+    if (m3uField(song.link)) lines.push(m3uField(song.link));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * XSPF ("spiff") playlist, see https://xspf.org/spec
+ */
+function toXSPF(title, songs) {
+  const tracks = songs.map(song => [
+    '    <track>',
+    song.link ? `      <location>${escapeXml(song.link)}</location>` : null,
+    `      <creator>${escapeXml(song.artist)}</creator>`,
+    `      <title>${escapeXml(song.title)}</title>`,
+    song.comment ? `      <annotation>${escapeXml(song.comment)}</annotation>` : null,
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * One row per submitted song: who brought it, who cut it and when (with their comment),
+ * and how it did in the final vote.
+ */
+function historyRows(game) {
+  const counts = mainVoteCounts(game);
+  const winners = new Set((game.finalResults?.results || []).map(r => r.playlistIndex));
+  const finalists = new Set((game.finalMix || []).map(entry => entry.playlistIndex));
+
+  return game.playlists.flatMap((pl, playlistIndex) => pl.songs.map((song, position) => {
+    const log = (pl.eliminationLog || []).find(entry => entry.songId
+      ? entry.songId === song.id
+      : entry.eliminatedRound === song.eliminatedRound && entry.songInfo?.title === song.title);
+    const inFinal = !song.eliminated && finalists.has(playlistIndex);
+    let result = song.eliminated ? 'eliminated' : 'survived';
+    if (inFinal) result = winners.has(playlistIndex) ? 'winner' : 'final mix';
+
+    return {
+      playlistIndex,
+      owner: pl.alias,
+      position: position + 1,
+      artist: song.artist,
+      title: song.title,
+      link: song.link || '',
+      provider: song.provider || '',
+      result,
+      eliminatedRound: song.eliminated ? song.eliminatedRound : null,
+      eliminatedBy: song.eliminated ? song.eliminatedBy : null,
+      autoEliminated: !!log?.auto,
+      comment: song.eliminated ? (song.comment || '') : '',
+      finalVotes: inFinal ? (counts[playlistIndex] ?? 0) : null
+    };
+  }));
+}
+
+const HISTORY_COLUMNS = [
+  'playlistIndex', 'owner', 'position', 'artist', 'title', 'link', 'provider', 'result',
+  'eliminatedRound', 'eliminatedBy', 'autoEliminated', 'comment', 'finalVotes'
+];
+
+function toCSV(rows, columns = HISTORY_COLUMNS) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(col => csvCell(row[col])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Everything about a finished game in one document.
+ */
+function historyJSON(game, gameId) {
+  return {
+    gameId,
+    gamePhase: game.gamePhase,
+    settings: publicSettings(game.settings),
+    players: game.players.map(p => p.alias),
+    finalMix: game.finalMix || [],
+    finalResults: game.finalResults || null,
+    playlists: game.playlists.map(pl => ({ alias: pl.alias, songs: pl.songs, eliminationLog: pl.eliminationLog || [] })),
+    history: historyRows(game),
+    chat: game.chat || []
+  };
+}
+
+/* -----------------------
+   Importing playlists
+   ----------------------- */
+const IMPORT_FORMATS = ['auto', 'm3u', 'xspf', 'csv', 'lines'];
+
+const URL_PATTERN = /(https?:\/\/\S+?)>?$/i;
+const ARTIST_TITLE_SEPARATOR = /\s+[-–—]\s+/;
+
+/**
+ * "Artist - Title <url>", "Artist - Title url" or just "Title".
+ * Also accepts an en/em dash between artist and title.
+ */
+function parseLine(line) {
+  let text = String(line ?? '').trim();
+  let link = '';
+  const url = text.match(URL_PATTERN);
+  if (url) {
+    link = url[1];
+    text = text.slice(0, url.index).replace(/[<(\s]+$/, '').trim();
+  }
+
+  const separator = text.match(ARTIST_TITLE_SEPARATOR);
+  if (!separator) return { artist: '', title: text, link };
+  return {
+    artist: text.slice(0, separator.index).trim(),
+    title: text.slice(separator.index + separator[0].length).trim(),
+    link
+  };
+}
+
+function parseLines(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(parseLine);
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * (Extended) M3U: "#EXTINF:<seconds>,Artist - Title" followed by the track location.
+ * Bare locations without an #EXTINF line become a song titled after the file name.
+ */
+function parseM3U(text) {
+  const songs = [];
+  let pending = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.toUpperCase().startsWith('#EXTINF')) {
+      pending = parseLine(line.slice(line.indexOf(',') + 1));
+      continue;
+    }
+    if (line.startsWith('#')) continue;
+
+    if (pending) {
+      songs.push({ ...pending, link: line });
+      pending = null;
+    } else {
+      const name = safeDecode(line.split(/[\\/]/).pop() || line).replace(/\.[a-z0-9]{2,4}$/i, '');
+      songs.push({ ...parseLine(name), link: line });
+    }
+  }
+  if (pending) songs.push(pending);
+  return songs;
+}
+
+function parseXSPF(text) {
+  const tag = (track, name) => {
+    const match = track.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? unescapeXml(match[1]) : '';
+  };
+  return (text.match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || []).map(track => ({
+    artist: tag(track, 'creator'),
+    title: tag(track, 'title'),
+    link: tag(track, 'location')
+  }));
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting; commas, semicolons or tabs as delimiter).
+ */
+function csvRows(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * CSV with a header naming the artist / title / link columns (link may also be called
+ * url, location or uri). Without a recognisable header the columns are taken as artist, title, link.
+ */
+function parseCSV(text) {
+  const rows = csvRows(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const find = names => header.findIndex(cell => names.includes(cell));
+  let columns = { artist: find(['artist', 'artists', 'artist name', 'artist name(s)', 'creator']),
+    title: find(['title', 'song', 'track', 'track name', 'name']),
+    link: find(['link', 'url', 'location', 'uri', 'track uri', 'spotify uri']) };
+
+  let body = rows.slice(1);
+  if (columns.title === -1) {
+    columns = { artist: 0, title: 1, link: 2 };
+    body = rows;
+  }
+
+  return body.map(cells => ({
+    artist: (cells[columns.artist] || '').trim(),
+    title: (cells[columns.title] || '').trim(),
+    link: (cells[columns.link] || '').trim()
+  }));
+}
+
+function detectFormat(text) {
+  const head = text.trimStart().slice(0, 500);
+  if (/^#EXTM3U/i.test(head) || /^#EXTINF/im.test(text)) return 'm3u';
+  if (/<playlist[\s>]/i.test(head) || /^<\?xml/i.test(head)) return 'xspf';
+  const firstLine = head.split(/\r?\n/, 1)[0].toLowerCase();
+  if (/(^|[,;\t"])\s*"?(artist|title|track name)"?\s*([,;\t]|$)/.test(firstLine)) return 'csv';
+  return 'lines';
+}
+
+const PARSERS = { m3u: parseM3U, xspf: parseXSPF, csv: parseCSV, lines: parseLines };
+
+/**
+ * Turn a pasted or uploaded playlist into [{ artist, title, link }].
+ * format is one of IMPORT_FORMATS; 'auto' (the default), or anything else, sniffs the text.
+ * Returns { format, songs } with the format that was actually used.
+ */
+function parsePlaylist(text, format = 'auto') {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const used = Object.hasOwn(PARSERS, format) ? format : detectFormat(source);
+  const songs = PARSERS[used](source)
+    .map(song => ({ artist: song.artist || '', title: song.title || '', link: song.link || '' }))
+    .filter(song => song.artist || song.title || song.link);
+  return { format: used, songs };
+}
+
+module.exports = { toM3U, toXSPF, toCSV, historyRows, historyJSON, IMPORT_FORMATS, parseLine, parsePlaylist };
@@ -0,0 +1,154 @@
+// backend/profiles.js
+const crypto = require('crypto');
+const { issueToken, tokenMatches } = require('./sessions');
+const { normalizeText } = require('./duplicates');
+const { mainVoteCounts, mainBallots } = require('./scoring');
+
+/* -----------------------
+   Player profiles (optional, last across games)
+   ----------------------- */
+
+/**
+ * Create a profile. Like a seat in a game, it is claimed with a secret token that only its
+ * owner gets; profiles keep just the token's hash. Returns { profile, token }.
+ */
+function createProfile(profiles, name) {
+  const id = crypto.randomBytes(9).toString('base64url');
+  const profile = { id, name: name.trim(), createdAt: Date.now() };
+  const token = issueToken(profile);
+  profiles[id] = profile;
+  return { profile, token };
+}
+
+function authenticateProfile(profiles, id, token) {
+  const profile = profiles[id];
+  return profile && tokenMatches(profile, token) ? profile : null;
+}
+
+function publicProfile(profile) {
+  return { id: profile.id, name: profile.name, createdAt: profile.createdAt };
+}
+
+/* -----------------------
+   Lifetime stats, worked out from finished games
+   ----------------------- */
+const TOP_ARTISTS = 5;
+const RECENT_GAMES = 10;
+
+function roundsPlayed(game) {
+  return Math.max(0, ...game.playlists.flatMap(pl => pl.songs.map(song => song.eliminatedRound || 0)));
+}
+
+/**
+ * A song cut in round r lasted r - 1 rounds; one that was never cut lasted every round played.
+ */
+function roundsSurvived(song, rounds) {
+  return song.eliminated ? Math.max(0, (song.eliminatedRound ?? 1) - 1) : rounds;
+}
+
+/**
+ * How an opponent is known across games: by their profile when they have one, by alias otherwise.
+ */
+function opponentOf(game, alias, profiles) {
+  const profileId = game.players.find(p => p.alias === alias)?.profileId;
+  const profile = profileId && profiles[profileId];
+  return profile
+    ? { key: `profile:${profile.id}`, name: profile.name, profileId: profile.id }
+    : { key: `alias:${alias}`, name: alias, profileId: null };
+}
+
+/**
+ * Everything we know about a profile's play, from every finished game it took part in:
+ * wins, how long its songs lasted, how it voted and was voted for, which artists it likes
+ * to cut, and eliminations given to and received from each opponent ("grudges").
+ * Random eliminations made for a player who ran out of time don't count as anyone's choice.
+ * Votes are the main vote's, like in-game points count them (see mainVoteCounts in scoring.js);
+ * whether a player voted for the winner goes by their ballot's first choice.
+ * gameEntries: [gameId, game] pairs, live and archived (see profileGameEntries in archive.js).
+ */
+function profileStats(profileId, gameEntries, profiles) {
+  const stats = {
+    gamesPlayed: 0,
+    wins: 0,
+    songsSubmitted: 0,
+    averageRoundsSurvived: null,
+    finalMixAppearances: 0,
+    votesReceived: 0,
+    votesCast: 0,
+    votedForWinner: 0,
+    eliminationsGiven: 0,
+    eliminationsReceived: 0,
+    favoriteEliminatedArtists: [],
+    grudges: [],
+    recentGames: []
+  };
+  let roundsTotal = 0;
+  const artists = new Map(); // normalized artist -> { artist, count }
+  const grudges = new Map(); // opponent key -> { opponent, profileId, given, received }
+
+  const grudge = (game, alias) => {
+    const { key, name, profileId: opponentId } = opponentOf(game, alias, profiles);
+    if (!grudges.has(key)) grudges.set(key, { opponent: name, profileId: opponentId, given: 0, received: 0 });
+    return grudges.get(key);
+  };
+
+  for (const [gameId, game] of gameEntries) {
+    if (game.gamePhase !== 'finished') continue;
+    const player = game.players.find(p => p.profileId === profileId);
+    if (!player) continue;
+    const { alias } = player;
+
+    const winners = (game.finalResults?.results || []).map(r => r.playlistIndex);
+    const won = (game.finalResults?.results || []).some(r => r.originAlias === alias);
+    stats.gamesPlayed++;
+    if (won) stats.wins++;
+    const rounds = roundsPlayed(game);
+    stats.recentGames.push({ gameId, alias, won, players: game.players.length, rounds });
+
+    // Our songs
+    const own = game.playlists.find(pl => pl.alias === alias);
+    for (const song of own?.songs || []) {
+      stats.songsSubmitted++;
+      roundsTotal += roundsSurvived(song, rounds);
+    }
+
+    // The final vote
+    const finalist = (game.finalMix || []).find(entry => entry.originAlias === alias);
+    if (finalist) stats.finalMixAppearances++;
+    if (finalist) stats.votesReceived += mainVoteCounts(game)[finalist.playlistIndex] ?? 0;
+    const ballot = mainBallots(game)[alias];
+    if (ballot !== undefined) {
+      stats.votesCast++;
+      if (winners.includes(Array.isArray(ballot) ? ballot[0] : ballot)) stats.votedForWinner++;
+    }
+
+    // Eliminations both ways
+    for (const pl of game.playlists) {
+      for (const entry of pl.eliminationLog || []) {
+        if (entry.auto || !entry.eliminatedBy) continue;
+        if (entry.eliminatedBy === alias && pl.alias !== alias) {
+          stats.eliminationsGiven++;
+          grudge(game, pl.alias).given++;
+
+          const artist = entry.songInfo?.artist?.trim();
+          const key = normalizeText(artist);
+          if (key) {
+            if (!artists.has(key)) artists.set(key, { artist, count: 0 });
+            artists.get(key).count++;
+          }
+        } else if (pl.alias === alias && entry.eliminatedBy !== alias) {
+          stats.eliminationsReceived++;
+          grudge(game, entry.eliminatedBy).received++;
+        }
+      }
+    }
+  }
+
+  stats.averageRoundsSurvived = stats.songsSubmitted ? Math.round((roundsTotal / stats.songsSubmitted) * 100) / 100 : null;
+  stats.favoriteEliminatedArtists = [...artists.values()].sort((a, b) => b.count - a.count).slice(0, TOP_ARTISTS);
+  stats.grudges = [...grudges.values()].sort((a, b) => (b.given + b.received) - (a.given + a.received));
+  stats.recentGames = stats.recentGames.slice(-RECENT_GAMES).reverse();
+  return stats;
+}
+
+module.exports = { createProfile, authenticateProfile, publicProfile, profileStats };
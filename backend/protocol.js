@@ -0,0 +1,325 @@
+// backend/protocol.js
+const { LIMITS, takeRequest, addStrike } = require('./limits');
+const { REACTIONS } = require('./chat');
+const { IMPORT_FORMATS } = require('./playlistFormats');
+
+/* -----------------------
+   Socket.IO protocol: events, payload schemas and errors
+   ----------------------- */
+
+/**
+ * Why a request was refused. Clients switch on the code; the message is for people.
+ */
+const ERROR_CODES = [
+  'INVALID_PAYLOAD',    // payload doesn't match the event's schema (see field)
+  'GAME_NOT_FOUND',
+  'SEASON_NOT_FOUND',
+  'GAME_EXISTS',
+  'WRONG_PASSWORD',
+  'ALIAS_TAKEN',
+  'GAME_FULL',
+  'UNAUTHORIZED',       // alias + session token don't match anyone in the game
+  'SESSION_EXPIRED',    // rejoin with a token that is no longer valid
+  'HOST_ONLY',
+  'WRONG_PHASE',        // the game isn't in a phase where this is possible
+  'NOT_ENOUGH_PLAYERS',
+  'TARGET_NOT_FOUND',   // the player a host action points at, or the song a reaction is for
+  'NOT_ALLOWED',        // a rule of the game forbids it
+  'ALREADY_SUBMITTED',
+  'INVALID_PLAYLIST',
+  'DUPLICATE_SONGS',
+  'INVALID_ELIMINATION',
+  'INVALID_BALLOT',
+  'RATE_LIMITED',       // too many requests; the message says when to try again
+  'PAYLOAD_TOO_LARGE',
+  'TOO_MANY_GAMES',     // this client already has the most games running it may have
+  'DISCONNECTED',       // too many rejected requests; the server is dropping the connection
+  'INTERNAL'
+];
+
+class GameError extends Error {
+  /**
+   * code: one of ERROR_CODES; field: the payload field at fault, if any (e.g. 'playlist.2.link').
+   */
+  constructor(code, message, field = null) {
+    super(message);
+    this.name = 'GameError';
+    this.code = ERROR_CODES.includes(code) ? code : 'INTERNAL';
+    this.field = field;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, field: this.field };
+  }
+}
+
+/* -----------------------
+   Payload schemas
+   ----------------------- */
+
+// A spec is { type, required, min, max, maxItems, enum, items, fields }. type may be a list of types;
+// max is a length for strings and a value for integers, maxItems a length for arrays.
+const gameId = { type: 'string', required: true, max: LIMITS.maxGameIdLength };
+const alias = { type: 'string', required: true, max: LIMITS.maxAliasLength };
+const token = { type: 'string', required: true, max: 128 };
+const password = { type: 'string', max: LIMITS.maxPasswordLength };
+// Optional player profile to attach to the seat: { id, token } as returned by createProfile
+const profile = { type: 'object', fields: { id: { type: 'string', required: true, max: 64 }, token } };
+
+const songText = { type: 'string', max: LIMITS.maxSongFieldLength };
+const song = {
+  type: ['object', 'string'],
+  max: LIMITS.maxSongFieldLength + LIMITS.maxLinkLength,
+  fields: { artist: songText, title: songText, link: { type: 'string', max: LIMITS.maxLinkLength } }
+};
+const playlist = {
+  type: ['array', 'string', 'object'],
+  required: true,
+  max: LIMITS.maxPlaylistTextLength,
+  maxItems: LIMITS.maxPlaylistSongs,
+  items: song,
+  fields: { text: { type: 'string', required: true, max: LIMITS.maxPlaylistTextLength }, format: { type: 'string', enum: IMPORT_FORMATS } }
+};
+
+const object = fields => ({ type: 'object', required: true, fields });
+
+/**
+ * client -> server. Every event may also pass an acknowledgement callback as its last argument;
+ * it is called with { ok: true, ... } or { ok: false, error: { code, message, field } }.
+ * Clients that don't pass one get failures as an 'error' event with the same { code, message, field }.
+ */
+const CLIENT_EVENTS = {
+  createGame: object({ gameId, alias, password, profile, settings: { type: 'object' } }),
+  // Acknowledged with the room's chat so far: { ok: true, chat }
+  joinGame: object({ gameId, alias, password, profile, spectator: { type: 'boolean' } }),
+  rejoinGame: object({ gameId, alias, token: { ...token, required: false } }),
+
+  // Host controls
+  startGame: object({ gameId, alias, token }),
+  kickPlayer: object({ gameId, alias, token, target: alias }),
+  transferHost: object({ gameId, alias, token, newHost: alias }),
+  forceAdvance: object({ gameId, alias, token }),
+  markDeparted: object({ gameId, alias, token, target: alias }),
+  endGame: object({ gameId, alias, token }),
+  closeVoting: object({ gameId, alias, token }),
+
+  // Playing: a list of songs, or M3U / XSPF / CSV / "Artist - Title <url>" text, or { text, format }
+  submitPlaylist: object({ gameId, alias, token, playlist }),
+  submitElimination: object({
+    gameId, alias, token,
+    playlistIndex: { type: 'integer', required: true, min: 0 },
+    eliminatedSongIndex: { type: 'integer', min: 0 },
+    eliminatedSongIndices: { type: 'array', maxItems: LIMITS.maxPlaylistSongs, items: { type: 'integer', min: 0 } },
+    comment: { type: 'string', max: LIMITS.maxCommentLength }
+  }),
+  // Private guess at the winning final-mix song, when the game allows predictions. Locked once made,
+  // and only possible before your first vote (and before any runoff)
+  predictWinner: object({ gameId, alias, token, playlistIndex: { type: 'integer', required: true, min: 0 } }),
+  // A playlist index, or a list of them for ranked / Borda / approval ballots
+  finalVote: object({ gameId, alias, token, chosen: { type: ['integer', 'string', 'array', 'object'], required: true } }),
+
+  // Chat and reactions (players and spectators). A reaction targets an eliminationLog entry
+  // { kind: 'elimination', playlistIndex, songId } or a final-mix song { kind: 'finalMix', playlistIndex }
+  sendChat: object({ gameId, alias, token, text: { type: 'string', required: true, max: LIMITS.maxChatLength } }),
+  react: object({
+    gameId, alias, token,
+    target: object({
+      kind: { type: 'string', required: true, enum: ['elimination', 'finalMix'] },
+      playlistIndex: { type: 'integer', required: true, min: 0 },
+      songId: { type: 'string', max: 64 }
+    }),
+    emoji: { type: 'string', required: true, enum: REACTIONS }
+  }),
+
+  // Lobby browser. watchLobby is acknowledged with { ok: true, games } (see lobbyEntry in lobby.js)
+  watchLobby: { type: 'object' },
+  unwatchLobby: { type: 'object' },
+
+  // Acknowledged with { ok: true, profile: { id, name, createdAt }, token }; keep the token to use the profile
+  createProfile: object({ name: alias }),
+
+  // Seasons. createSeason is acknowledged with { ok: true, season, seasonToken }; the organizer
+  // (alias) starts each game with startSeasonGame and its seasonToken, and hosts it
+  createSeason: object({
+    name: alias,
+    alias,
+    password,
+    roster: { type: 'array', required: true, maxItems: LIMITS.maxSeasonRoster, items: alias },
+    settings: { type: 'object' },
+    scoring: { type: 'object' }
+  }),
+  startSeasonGame: object({ seasonId: { type: 'string', required: true, max: 64 }, seasonToken: token, gameId, profile })
+};
+
+/**
+ * server -> client, for reference (these aren't checked at runtime).
+ */
+const players = { type: 'array', items: { type: 'string' } };
+const playlists = { type: 'array' };
+const deadline = { type: 'object', fields: { phase: { type: 'string' }, endsAt: { type: 'integer' } } };
+
+const SERVER_EVENTS = {
+  error: object({ code: { type: 'string', enum: ERROR_CODES }, message: { type: 'string' }, field: { type: 'string' } }),
+  session: object({ gameId, alias, token }),
+  // roster: the aliases a season game is kept for (null outside seasons);
+  // reserved: roster members whose seat is waiting for them to join
+  gameCreated: object({ gameId, players, departed: players, reserved: players, spectators: players, roster: players, host: alias, gamePhase: { type: 'string' }, settings: { type: 'object' }, seasonId: { type: 'string' } }),
+  playerJoined: object({ alias, players, departed: players, reserved: players, spectators: players, roster: players, host: alias, gamePhase: { type: 'string' }, settings: { type: 'object' } }),
+  // Full game state for the joining client (see gameStatePayload in index.js), plus success
+  rejoinResult: object({ success: { type: 'boolean', required: true }, message: { type: 'string' } }),
+  spectateResult: object({ success: { type: 'boolean', required: true } }),
+  playersUpdated: object({ players, departed: players, reserved: players, spectators: players, roster: players, host: alias, gamePhase: { type: 'string' } }),
+  kicked: object({ gameId, by: { type: 'string' }, reason: { type: 'string' } }),
+  playersSkipped: object({ aliases: players, round: { type: 'integer' }, reason: { type: 'string' } }),
+  playerDeparted: object({ alias, reason: { type: 'string' } }),
+  gameEnded: object({ endedBy: alias, playlists }),
+  deadlineUpdated: object({ deadline, serverTime: { type: 'integer' } }),
+  gamePhaseChanged: object({
+    gamePhase: { type: 'string', required: true },
+    assignedPlaylists: { type: 'object' },
+    playlists,
+    round: { type: 'integer' },
+    finalMix: { type: 'array' },
+    // Points so far, best first: [{ alias, points, survival, backedCuts, votes, winner }] (see scoring.js)
+    standings: { type: 'array' }
+  }),
+  assignmentsUpdated: { type: 'object' }, // alias -> playlist index
+  playlistsUpdated: playlists,
+  playlistSubmitted: object({ alias }),
+  playlistWarning: object({ message: { type: 'string' }, duplicates: { type: 'array' } }),
+  playerEliminationSubmitted: object({ alias }),
+  voteSubmitted: object({ alias, changed: { type: 'boolean' }, votesIn: { type: 'integer' }, eligible: { type: 'integer' } }),
+  runoffStarted: object({ runoff: { type: 'object' }, voteStages: { type: 'array' }, votesIn: { type: 'integer' }, eligible: { type: 'integer' } }),
+  // predictions: [{ alias, playlistIndex, correct }] revealed with the results (when the game had them)
+  finalResults: object({ results: { type: 'array' }, tally: { type: 'object' }, method: { type: 'string' }, tied: { type: 'boolean' }, stages: { type: 'array' }, standings: { type: 'array' }, predictions: { type: 'array' } }),
+  // Someone locked in a prediction; who they picked stays secret until the results
+  predictionMade: object({ alias, predictionsIn: { type: 'integer' } }),
+  chatMessage: object({ id: { type: 'string' }, alias, text: { type: 'string' }, at: { type: 'integer' } }),
+  // reactions: { [emoji]: [alias, ...] }
+  reactionsUpdated: object({ target: { type: 'object' }, reactions: { type: 'object' } }),
+  // The game will expire at expiresAt unless someone plays (idle) — or, for a game that's over, regardless.
+  // archived: whether it goes to the read-only archive (otherwise it's simply removed)
+  gameExpiring: object({ gameId, expiresAt: { type: 'integer' }, serverTime: { type: 'integer' }, archived: { type: 'boolean' }, idle: { type: 'boolean' } }),
+  // The game is gone from the server; status: 'finished' | 'ended' | 'abandoned'
+  gameExpired: object({ gameId, archived: { type: 'boolean' }, status: { type: 'string' } }),
+  // The public games changed (sent to sockets that sent watchLobby)
+  lobbyUpdated: object({ games: { type: 'array' } }),
+  // A season game finished and was scored (see seasonPayload in seasons.js)
+  seasonUpdated: object({ season: { type: 'object' } }),
+  // The organizer started the next season game (sent to the room of the season's previous game)
+  seasonGameStarted: object({ seasonId: { type: 'string' }, gameId, host: alias })
+};
+
+/* -----------------------
+   Validation
+   ----------------------- */
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => !!value && typeof value === 'object' && !Array.isArray(value)
+};
+
+function describeTypes(types) {
+  return types.map(type => (type === 'integer' ? 'a whole number' : `a${type === 'array' || type === 'object' ? 'n' : ''} ${type}`)).join(' or ');
+}
+
+/**
+ * Check one value against its spec. Throws INVALID_PAYLOAD naming the field (a dotted path).
+ */
+function checkValue(value, spec, field) {
+  const label = field || 'payload';
+  const missing = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+  if (missing) {
+    if (spec.required) throw new GameError('INVALID_PAYLOAD', `Missing ${label}`, field || null);
+    return;
+  }
+
+  const types = [].concat(spec.type);
+  const type = types.find(t => TYPE_CHECKS[t](value));
+  if (!type) throw new GameError('INVALID_PAYLOAD', `${label} must be ${describeTypes(types)}`, field || null);
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    throw new GameError('INVALID_PAYLOAD', `${label} must be one of: ${spec.enum.join(', ')}`, field);
+  }
+  if (type === 'integer') {
+    if (spec.min !== undefined && value < spec.min) throw new GameError('INVALID_PAYLOAD', `${label} must be at least ${spec.min}`, field);
+    if (spec.max !== undefined && value > spec.max) throw new GameError('INVALID_PAYLOAD', `${label} must be at most ${spec.max}`, field);
+  }
+  if (type === 'string' && spec.max !== undefined && value.length > spec.max) {
+    throw new GameError('INVALID_PAYLOAD', `${label} is limited to ${spec.max} characters`, field);
+  }
+  if (type === 'array' && spec.maxItems !== undefined && value.length > spec.maxItems) {
+    throw new GameError('INVALID_PAYLOAD', `${label} is limited to ${spec.maxItems} items`, field);
+  }
+  if (type === 'array' && spec.items) {
+    value.forEach((item, i) => checkValue(item, { ...spec.items, required: true }, `${label}.${i}`));
+  }
+  if (type === 'object' && spec.fields) {
+    for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+      checkValue(value[name], fieldSpec, field ? `${field}.${name}` : name);
+    }
+  }
+}
+
+function validatePayload(event, payload) {
+  const spec = CLIENT_EVENTS[event];
+  if (!spec) throw new GameError('INVALID_PAYLOAD', `Unknown event "${event}"`);
+  checkValue(payload, spec, '');
+}
+
+// Refusals no well-behaved client runs into; each one counts as a strike against the socket
+const STRIKE_CODES = ['RATE_LIMITED', 'PAYLOAD_TOO_LARGE', 'INVALID_PAYLOAD'];
+
+/**
+ * Rate limit and size checks that come before the payload is even looked at.
+ */
+function checkAllowance(socket, event, payload) {
+  const waitMs = takeRequest(socket, event);
+  if (waitMs) {
+    throw new GameError('RATE_LIMITED', `Too many ${event} requests — try again in ${Math.ceil(waitMs / 1000)}s`);
+  }
+  const bytes = Buffer.byteLength(JSON.stringify(payload) ?? '');
+  if (bytes > LIMITS.maxPayloadBytes) {
+    throw new GameError('PAYLOAD_TOO_LARGE', `Request is too large (${Math.ceil(bytes / 1024)} KB, limit ${Math.floor(LIMITS.maxPayloadBytes / 1024)} KB)`);
+  }
+}
+
+/**
+ * Register a client event handler that only runs on a payload matching the event's schema,
+ * and only while the socket is within its rate limits. The handler may return extra fields for
+ * the acknowledgement, and refuses a request by throwing a GameError; anything else it throws
+ * is logged and reported as INTERNAL. A socket that keeps getting refused is disconnected.
+ */
+function handle(socket, event, handler) {
+  if (!CLIENT_EVENTS[event]) throw new Error(`No schema for client event "${event}"`);
+
+  socket.on(event, (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const payload = args[0];
+
+    let reply;
+    try {
+      checkAllowance(socket, event, payload);
+      validatePayload(event, payload);
+      reply = { ok: true, ...handler(payload) };
+    } catch (err) {
+      if (!(err instanceof GameError)) console.error(`💥 ${event} handler failed:`, err);
+      const error = err instanceof GameError
+        ? err.toJSON()
+        : { code: 'INTERNAL', message: 'Something went wrong on the server', field: null };
+      reply = { ok: false, error };
+      if (!ack) socket.emit('error', error);
+    }
+    if (ack) ack(reply);
+
+    if (!reply.ok && STRIKE_CODES.includes(reply.error.code) && addStrike(socket)) {
+      console.warn(`🚫 Disconnecting ${socket.id} after repeated rejected requests (last: ${event})`);
+      socket.emit('error', { code: 'DISCONNECTED', message: 'Too many rejected requests — disconnected', field: null });
+      socket.disconnect(true);
+    }
+  });
+}
+
+module.exports = { ERROR_CODES, GameError, CLIENT_EVENTS, SERVER_EVENTS, validatePayload, handle };
@@ -0,0 +1,122 @@
+// backend/scoring.js
+
+/* -----------------------
+   In-game points: more to play for than the single winner
+   ----------------------- */
+// Largest value any point rule can be set to (here and in seasons.js)
+const MAX_POINTS = 100;
+
+// Per-game point values (settings.points)
+const DEFAULT_POINTS = {
+  // To a playlist's owner, for each of its songs still standing after each round
+  survival: 1,
+  // To an eliminator, for each cut they made from a playlist whose surviving song then gets final votes:
+  // the group backed how they trimmed it
+  backedCut: 2,
+  // To a song's owner, per vote it gets in the final vote
+  perVote: 3,
+  // To the owner of the winning song (every song sharing a tied win)
+  winner: 5,
+  // To each player who predicted the winning song (see settings.predictions)
+  correctPrediction: 2
+};
+
+/**
+ * A point value from client input: a whole number from 0 to MAX_POINTS, or fallback when missing or not a number.
+ */
+function clampPoints(value, fallback) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(MAX_POINTS, Math.max(0, Math.round(n)));
+}
+
+function normalizePoints(input = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_POINTS).map(([rule, points]) => [rule, clampPoints(input?.[rule], points)])
+  );
+}
+
+/**
+ * Votes per playlist index in the first count of the main vote: first choices for plurality
+ * and ranked voting, approvals for approval voting, points for Borda. Runoffs only decide who wins.
+ * Games finished before every count was kept only have the deciding tally. Empty until the vote has been counted.
+ * Standings, seasons, profile stats and history exports all count votes this way.
+ */
+function mainVoteCounts(game) {
+  return game.voteStages?.[0]?.rounds?.[0]?.counts || game.finalResults?.tally || {};
+}
+
+/**
+ * Each voter's ballot in the main vote: { [alias]: ballot }. Games from before these were kept
+ * only have the last stage's ballots, which are the main vote's unless there was a runoff.
+ */
+function mainBallots(game) {
+  return game.mainVotes || game.votes || {};
+}
+
+/**
+ * Elimination rounds that are over: in round n, n - 1; once the final mix is reached, all of them.
+ */
+function roundsCompleted(game) {
+  const phase = game.gamePhase || '';
+  if (phase.startsWith('elimination')) return Math.max(0, (game.currentRound || 1) - 1);
+  if (phase === 'final_mix' || phase === 'finished' || phase === 'ended') return game.currentRound || 0;
+  return 0;
+}
+
+/**
+ * Everyone's points so far, best first: [{ alias, points, survival, backedCuts, votes, winner, predicted }].
+ * predicted is whether they called the winner; it stays false until the results are in.
+ * Worked out from the game itself every time, so they always match what happened
+ * (including kicked players' playlists and random eliminations, which score nobody a cut).
+ */
+function gameStandings(game) {
+  const values = game.settings?.points || DEFAULT_POINTS;
+  const rows = new Map();
+  const row = alias => {
+    if (!rows.has(alias)) rows.set(alias, { alias, points: 0, survival: 0, backedCuts: 0, votes: 0, winner: false, predicted: false });
+    return rows.get(alias);
+  };
+  game.players.forEach(p => row(p.alias));
+
+  // Songs that lasted each finished round
+  const rounds = roundsCompleted(game);
+  for (const pl of game.playlists || []) {
+    for (const song of pl.songs) {
+      const lasted = song.eliminated ? Math.min(rounds, Math.max(0, (song.eliminatedRound ?? 1) - 1)) : rounds;
+      row(pl.alias).survival += lasted;
+    }
+  }
+
+  // The final vote: votes for your song, the win, and cuts the group backed
+  const counts = mainVoteCounts(game);
+  const winners = new Set((game.finalResults?.results || []).map(r => r.playlistIndex));
+  for (const entry of game.finalMix || []) {
+    const votes = counts[entry.playlistIndex] ?? 0;
+    row(entry.originAlias).votes += votes;
+    if (winners.has(entry.playlistIndex)) row(entry.originAlias).winner = true;
+    if (!votes) continue;
+    const pl = game.playlists[entry.playlistIndex];
+    for (const cut of pl?.eliminationLog || []) {
+      if (cut.auto || !cut.eliminatedBy || cut.eliminatedBy === pl.alias) continue;
+      row(cut.eliminatedBy).backedCuts++;
+    }
+  }
+
+  if (game.finalResults) {
+    for (const [alias, playlistIndex] of Object.entries(game.predictions || {})) {
+      if (winners.has(playlistIndex)) row(alias).predicted = true;
+    }
+  }
+
+  for (const r of rows.values()) {
+    r.points = r.survival * values.survival
+      + r.backedCuts * values.backedCut
+      + r.votes * values.perVote
+      + (r.winner ? values.winner : 0)
+      + (r.predicted ? values.correctPrediction : 0);
+  }
+  return [...rows.values()].sort((a, b) => b.points - a.points || a.alias.localeCompare(b.alias));
+}
+
+module.exports = { DEFAULT_POINTS, clampPoints, normalizePoints, mainVoteCounts, mainBallots, gameStandings };
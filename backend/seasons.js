@@ -0,0 +1,138 @@
+// backend/seasons.js
+const crypto = require('crypto');
+const { issueToken } = require('./sessions');
+const { clampPoints, mainVoteCounts } = require('./scoring');
+const { publicSettings } = require('./settings');
+
+/* -----------------------
+   Seasons: a series of games with the same roster, scored cumulatively
+   ----------------------- */
+const DEFAULT_SCORING = {
+  // Points for having your song in the final mix
+  finalMix: 3,
+  // Points per vote your song gets in the final vote (see gameScores)
+  perVote: 1,
+  // Bonus for winning the game (every song sharing a tied win gets it)
+  winner: 5,
+  // Points just for playing a game to the end
+  played: 0
+};
+
+/**
+ * Complete scoring rules from whatever the client sent; unknown keys are dropped.
+ */
+function normalizeScoring(input = {}) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SCORING).map(([rule, points]) => [rule, clampPoints(input?.[rule], points)])
+  );
+}
+
+/**
+ * The season's roster: the organizer first, then everyone else listed, each alias once.
+ */
+function seasonRoster(host, roster) {
+  return [...new Set([host, ...roster.map(alias => alias.trim()).filter(Boolean)])];
+}
+
+/**
+ * Create a season. Whoever creates it organizes it: they get a token that lets them start
+ * its games, and are always on the roster. Returns { season, token }.
+ * settings are already-normalized game settings every season game starts with.
+ */
+function createSeason(seasons, { name, password, host, roster, settings, scoring }) {
+  const id = crypto.randomBytes(6).toString('base64url');
+  const aliases = seasonRoster(host, roster);
+  const season = {
+    id,
+    name: name.trim(),
+    password: password || '',
+    host,
+    roster: aliases,
+    settings,
+    scoring: normalizeScoring(scoring),
+    createdAt: Date.now(),
+    games: [], // every game started for the season, oldest first
+    results: [] // { gameId, finishedAt, scores } for each season game that reached 'finished'
+  };
+  const token = issueToken(season);
+  seasons[id] = season;
+  return { season, token };
+}
+
+/**
+ * Points each player earned in a finished game under the given rules:
+ * { [alias]: { points, finalMix, votes, won } }.
+ * Votes are counted the way in-game points count them (see mainVoteCounts in scoring.js).
+ */
+function gameScores(game, scoring) {
+  const counts = mainVoteCounts(game);
+  const winners = new Set((game.finalResults?.results || []).map(r => r.originAlias));
+  const scores = {};
+
+  for (const player of game.players) {
+    const entry = (game.finalMix || []).find(fm => fm.originAlias === player.alias);
+    const votes = entry ? counts[entry.playlistIndex] ?? 0 : 0;
+    const won = winners.has(player.alias);
+    scores[player.alias] = {
+      points: scoring.played
+        + (entry ? scoring.finalMix : 0)
+        + votes * scoring.perVote
+        + (won ? scoring.winner : 0),
+      finalMix: !!entry,
+      votes,
+      won
+    };
+  }
+  return scores;
+}
+
+/**
+ * Score a season game that just finished. Scores are kept on the season, so the standings
+ * don't depend on the game itself sticking around. Recording the same game twice does nothing.
+ */
+function recordSeasonResult(season, gameId, game) {
+  if (season.results.some(r => r.gameId === gameId)) return false;
+  season.results.push({ gameId, finishedAt: Date.now(), scores: gameScores(game, season.scoring) });
+  return true;
+}
+
+/**
+ * The season table, best first: roster members (and anyone else who played a scored game)
+ * with their points, games, wins, final-mix songs and votes. Ties on points go to more wins.
+ */
+function seasonStandings(season) {
+  const rows = new Map(season.roster.map(alias => [alias, { alias, points: 0, games: 0, wins: 0, finalMix: 0, votes: 0 }]));
+
+  for (const { scores } of season.results) {
+    for (const [alias, score] of Object.entries(scores)) {
+      if (!rows.has(alias)) rows.set(alias, { alias, points: 0, games: 0, wins: 0, finalMix: 0, votes: 0 });
+      const row = rows.get(alias);
+      row.points += score.points;
+      row.games++;
+      if (score.won) row.wins++;
+      if (score.finalMix) row.finalMix++;
+      row.votes += score.votes;
+    }
+  }
+
+  return [...rows.values()].sort((a, b) => b.points - a.points || b.wins - a.wins || a.alias.localeCompare(b.alias));
+}
+
+/**
+ * What anyone with the season password gets to see. Never includes the password or token hash.
+ */
+function seasonPayload(season) {
+  return {
+    id: season.id,
+    name: season.name,
+    host: season.host,
+    roster: season.roster,
+    scoring: season.scoring,
+    settings: publicSettings(season.settings),
+    games: season.games,
+    results: season.results,
+    standings: seasonStandings(season)
+  };
+}
+
+module.exports = { DEFAULT_SCORING, normalizeScoring, seasonRoster, createSeason, gameScores, recordSeasonResult, seasonStandings, seasonPayload };
@@ -0,0 +1,34 @@
+// backend/sessions.js
+const crypto = require('crypto');
+
+/* -----------------------
+   Player session tokens
+   ----------------------- */
+
+/**
+ * Every player and spectator gets a secret token when they create or join a game.
+ * Only its SHA-256 hash is stored on their record (and so in games.json); the client keeps
+ * the token itself and presents it with every event.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Give a player or spectator record a fresh token. Returns the token, which is
+ * only ever sent to that one socket.
+ */
+function issueToken(record) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  record.tokenHash = hashToken(token);
+  return token;
+}
+
+function tokenMatches(record, token) {
+  if (!record?.tokenHash || typeof token !== 'string' || !token) return false;
+  const expected = Buffer.from(record.tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { issueToken, tokenMatches };
@@ -0,0 +1,149 @@
+// backend/settings.js
+const { STRATEGIES } = require('./assignment');
+const { VOTING_METHODS, TIE_BREAKS } = require('./voting');
+const { DUPLICATE_POLICIES } = require('./duplicates');
+const { DEFAULT_POINTS, normalizePoints } = require('./scoring');
+
+/* -----------------------
+   Per-game settings chosen at createGame time
+   ----------------------- */
+const TIMEOUT_ACTIONS = ['random', 'skip'];
+
+const MIN_DEADLINE_SECONDS = 10;
+const MAX_DEADLINE_SECONDS = 24 * 60 * 60;
+const MAX_GRACE_SECONDS = 60 * 60;
+
+const MIN_PLAYLIST_LENGTH = 2;
+const MAX_PLAYLIST_LENGTH = 20;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 30;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_SEED_LENGTH = 64;
+const MAX_RUNOFFS = 5;
+const MAX_NAME_LENGTH = 60;
+const VISIBILITIES = ['private', 'public'];
+
+const DEFAULT_SETTINGS = {
+  // 'public' games are listed in the lobby browser; 'private' ones are only found by their game ID
+  visibility: 'private',
+  // Name shown in the lobby browser (the game ID when empty)
+  name: '',
+  // Songs every player submits
+  playlistLength: 5,
+  // Players needed to start / allowed to join (spectators don't count)
+  minPlayers: 2,
+  maxPlayers: 12,
+  // Elimination commentary rules
+  commentaryRequired: true,
+  commentMaxLength: 280,
+  // Whether every submitted song needs a link
+  linkRequired: false,
+  // A song that's already in the game (same artist and title, or same link): 'reject', 'warn' or 'allow'
+  duplicatePolicy: 'warn',
+  // Songs each player cuts from their assigned playlist per round
+  eliminationsPerRound: 1,
+  // How playlists are handed out each round (see assignment.js) and the seed for 'random'
+  assignmentStrategy: 'rotation',
+  assignmentSeed: null,
+  // How the final mix is decided (see voting.js), how a tie for first is settled,
+  // and how many runoff votes may be held before the tied songs share the win
+  votingMethod: 'plurality',
+  tieBreak: 'runoff',
+  maxRunoffs: 2,
+  // Whether players may vote for the surviving song from their own playlist
+  allowSelfVote: false,
+  // Whether players may privately predict the winning final-mix song before they vote
+  predictions: false,
+  // Points for surviving rounds, backed cuts, final votes, the win and correct predictions (see scoring.js)
+  points: DEFAULT_POINTS,
+  // Seconds allowed per phase; null = no deadline
+  deadlines: {
+    submission: null,
+    elimination: null,
+    voting: null
+  },
+  // What happens to a player who hasn't eliminated when the round deadline passes:
+  // 'random' eliminates a random remaining song for them, 'skip' lets the round go on without them
+  timeoutAction: 'random',
+  // Whether spectators may cast final-mix votes
+  spectatorsCanVote: false,
+  // Seconds a disconnected player has to come back mid-game before they count as departed; 0 = never
+  departGraceSeconds: 180
+};
+
+function clampInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+function normalizeDeadline(value) {
+  const seconds = Number(value);
+  if (!value || !Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.min(MAX_DEADLINE_SECONDS, Math.max(MIN_DEADLINE_SECONDS, Math.round(seconds)));
+}
+
+function normalizeGrace(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_SETTINGS.departGraceSeconds;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+  return Math.min(MAX_GRACE_SECONDS, Math.round(seconds));
+}
+
+/**
+ * Build a complete settings object from whatever the client sent.
+ * Unknown keys are dropped and out-of-range values fall back to defaults or get clamped.
+ */
+function normalizeSettings(input = {}) {
+  const deadlines = input?.deadlines || {};
+  const playlistLength = clampInt(input?.playlistLength, MIN_PLAYLIST_LENGTH, MAX_PLAYLIST_LENGTH, DEFAULT_SETTINGS.playlistLength);
+  const minPlayers = clampInt(input?.minPlayers, MIN_PLAYERS, MAX_PLAYERS, DEFAULT_SETTINGS.minPlayers);
+
+  return {
+    visibility: VISIBILITIES.includes(input?.visibility) ? input.visibility : DEFAULT_SETTINGS.visibility,
+    name: typeof input?.name === 'string' ? input.name.trim().slice(0, MAX_NAME_LENGTH) : DEFAULT_SETTINGS.name,
+    playlistLength,
+    minPlayers,
+    maxPlayers: clampInt(input?.maxPlayers, minPlayers, MAX_PLAYERS, Math.max(minPlayers, DEFAULT_SETTINGS.maxPlayers)),
+    commentaryRequired: input?.commentaryRequired === undefined
+      ? DEFAULT_SETTINGS.commentaryRequired
+      : input.commentaryRequired === true,
+    commentMaxLength: clampInt(input?.commentMaxLength, 1, MAX_COMMENT_LENGTH, DEFAULT_SETTINGS.commentMaxLength),
+    linkRequired: input?.linkRequired === true,
+    duplicatePolicy: DUPLICATE_POLICIES.includes(input?.duplicatePolicy) ? input.duplicatePolicy : DEFAULT_SETTINGS.duplicatePolicy,
+    // At least one song per playlist has to survive to the final mix
+    eliminationsPerRound: clampInt(input?.eliminationsPerRound, 1, playlistLength - 1, DEFAULT_SETTINGS.eliminationsPerRound),
+    assignmentStrategy: STRATEGIES.includes(input?.assignmentStrategy)
+      ? input.assignmentStrategy
+      : DEFAULT_SETTINGS.assignmentStrategy,
+    assignmentSeed: input?.assignmentSeed ? String(input.assignmentSeed).slice(0, MAX_SEED_LENGTH) : null,
+    votingMethod: VOTING_METHODS.includes(input?.votingMethod) ? input.votingMethod : DEFAULT_SETTINGS.votingMethod,
+    tieBreak: TIE_BREAKS.includes(input?.tieBreak) ? input.tieBreak : DEFAULT_SETTINGS.tieBreak,
+    maxRunoffs: clampInt(input?.maxRunoffs, 1, MAX_RUNOFFS, DEFAULT_SETTINGS.maxRunoffs),
+    allowSelfVote: input?.allowSelfVote === true,
+    predictions: input?.predictions === true,
+    points: normalizePoints(input?.points),
+    deadlines: {
+      submission: normalizeDeadline(deadlines.submission),
+      elimination: normalizeDeadline(deadlines.elimination),
+      voting: normalizeDeadline(deadlines.voting)
+    },
+    timeoutAction: TIMEOUT_ACTIONS.includes(input?.timeoutAction)
+      ? input.timeoutAction
+      : DEFAULT_SETTINGS.timeoutAction,
+    spectatorsCanVote: input?.spectatorsCanVote === true,
+    departGraceSeconds: normalizeGrace(input?.departGraceSeconds)
+  };
+}
+
+/**
+ * Settings as clients see them. The assignment seed stays on the server:
+ * with it, anyone could work out the 'random' assignment schedule in advance.
+ */
+function publicSettings(settings) {
+  if (!settings) return settings;
+  const { assignmentSeed, ...rest } = settings;
+  return rest;
+}
+
+module.exports = { DEFAULT_SETTINGS, TIMEOUT_ACTIONS, VISIBILITIES, normalizeSettings, publicSettings };
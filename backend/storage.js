@@ -0,0 +1,135 @@
+// backend/storage.js
+const fs = require('fs');
+const path = require('path');
+
+/* -----------------------
+   Durable storage (games, player profiles, seasons and the game archive)
+   ----------------------- */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SAVE_DELAY_MS = 250;
+
+// Flags index.js keeps on a game that only make sense inside the running process
+const RUNTIME_GAME_KEYS = new Set(['_advancing', '_roundLocked', '_expiryWarnedFor']);
+
+/**
+ * Strip runtime-only state before writing to disk. Only those flags, and only on the game
+ * objects themselves: game IDs, aliases and other keys players choose are saved whatever they look like.
+ */
+function serialize(data) {
+  return JSON.stringify(data, function (key, value) {
+    return RUNTIME_GAME_KEYS.has(key) && Array.isArray(this.players) ? undefined : value;
+  });
+}
+
+/**
+ * A JSON file in DATA_DIR holding one object (all games, all profiles, ...).
+ * label names the records in log lines, e.g. 'game(s)'.
+ */
+function createStore(fileName, label) {
+  const file = path.join(DATA_DIR, fileName);
+  let saveTimer = null;
+
+  /**
+   * Load the saved object. Returns {} when nothing has been saved yet.
+   * A file that cannot be parsed, or doesn't hold an object, is moved aside so the server can still start.
+   */
+  function load() {
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      // Valid JSON of the wrong shape (null, an array, ...) is as unusable as a broken file
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Expected a JSON object');
+      console.log(`💾 Loaded ${Object.keys(data).length} ${label} from ${file}`);
+      return data;
+    } catch (err) {
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      console.error(`🚨 Could not read ${file}, moving it to ${corruptFile}:`, err);
+      fs.renameSync(file, corruptFile);
+      return {};
+    }
+  }
+
+  /**
+   * Write immediately. Writes to a temp file first and renames it,
+   * so a crash mid-write never leaves a half-written file behind.
+   */
+  function saveNow(data) {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, serialize(data));
+    fs.renameSync(tmpFile, file);
+  }
+
+  /**
+   * Save shortly. Bursts of changes (e.g. every player eliminating
+   * at once) collapse into a single write.
+   */
+  function scheduleSave(data) {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        saveNow(data);
+      } catch (err) {
+        console.error(`🚨 Failed to save ${label}:`, err);
+      }
+    }, SAVE_DELAY_MS);
+  }
+
+  return { load, saveNow, scheduleSave };
+}
+
+/* -----------------------
+   Archived games: one file each in DATA_DIR/archive, written once when the game expires and
+   read back only when someone asks for it. archive.json indexes them (see archive.js).
+   ----------------------- */
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+
+function writeArchivedGame(fileName, record) {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  const file = path.join(ARCHIVE_DIR, fileName);
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, serialize(record));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Returns null when the file is missing or unreadable, so one bad record only loses that game.
+ */
+function readArchivedGame(fileName) {
+  const file = path.join(ARCHIVE_DIR, fileName);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`🚨 Could not read archived game ${file}:`, err);
+    return null;
+  }
+}
+
+const gameStore = createStore('games.json', 'game(s)');
+const profileStore = createStore('profiles.json', 'profile(s)');
+const seasonStore = createStore('seasons.json', 'season(s)');
+const archiveStore = createStore('archive.json', 'archived game ID(s)');
+
+module.exports = {
+  loadGames: gameStore.load,
+  saveGamesNow: gameStore.saveNow,
+  scheduleSave: gameStore.scheduleSave,
+  loadProfiles: profileStore.load,
+  saveProfilesNow: profileStore.saveNow,
+  scheduleProfilesSave: profileStore.scheduleSave,
+  loadSeasons: seasonStore.load,
+  saveSeasonsNow: seasonStore.saveNow,
+  scheduleSeasonsSave: seasonStore.scheduleSave,
+  loadArchive: archiveStore.load,
+  saveArchiveNow: archiveStore.saveNow,
+  scheduleArchiveSave: archiveStore.scheduleSave,
+  writeArchivedGame,
+  readArchivedGame
+};
@@ -0,0 +1,52 @@
+// backend/test/assignment.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STRATEGIES, buildSchedule } = require('../assignment');
+
+// Every player owns the playlist with their own index
+function schedule(strategy, playerCount, songs, extra = {}) {
+  const players = Array.from({ length: playerCount }, (_, i) => i);
+  return buildSchedule({
+    strategy,
+    seed: 'test',
+    playerCount,
+    active: players,
+    owners: players,
+    remaining: players.map(() => songs),
+    ...extra
+  });
+}
+
+for (const strategy of STRATEGIES) {
+  test(`${strategy}: nobody is ever assigned their own playlist`, () => {
+    for (let players = 2; players <= 6; players++) {
+      for (const row of schedule(strategy, players, 4)) {
+        row.forEach((playlist, player) => assert.notEqual(playlist, player));
+      }
+    }
+  });
+
+  test(`${strategy}: every playlist is cut down to one song`, () => {
+    const rows = schedule(strategy, 4, 5);
+    assert.equal(rows.length, 4);
+    const cuts = [0, 0, 0, 0];
+    rows.forEach(row => row.forEach(playlist => { if (playlist !== null) cuts[playlist]++; }));
+    assert.deepEqual(cuts, [4, 4, 4, 4]);
+  });
+}
+
+test('the same seed always builds the same random schedule', () => {
+  assert.deepEqual(schedule('random', 5, 4), schedule('random', 5, 4));
+});
+
+test('several eliminations per round need fewer rounds', () => {
+  assert.equal(schedule('rotation', 3, 5, { eliminationsPerRound: 2 }).length, 2);
+});
+
+test('a departed player sits out while the others keep every playlist going', () => {
+  const rows = buildSchedule({ playerCount: 3, active: [0, 1], owners: [0, 1, 2], remaining: [3, 3, 3] });
+  for (const row of rows) {
+    assert.equal(row[2], null);
+    row.forEach((playlist, player) => assert.notEqual(playlist, player));
+  }
+});
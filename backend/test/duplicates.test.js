@@ -0,0 +1,32 @@
+// backend/test/duplicates.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText, findDuplicates, describeDuplicates } = require('../duplicates');
+
+test('normalizeText ignores case, accents, "The", featured artists and remaster suffixes', () => {
+  assert.equal(normalizeText('The Beatles'), normalizeText('beatles'));
+  assert.equal(normalizeText('Beyoncé'), 'beyonce');
+  assert.equal(normalizeText('Song (feat. Someone)'), 'song');
+  assert.equal(normalizeText('Let It Be - Remastered 2009'), normalizeText('Let It Be'));
+  assert.equal(normalizeText('Rock & Roll'), 'rock and roll');
+});
+
+test('findDuplicates matches other playlists by title and by link, and repeats within the playlist', () => {
+  const existing = [{ alias: 'Sam', songs: [
+    { artist: 'Radiohead', title: 'Creep', link: '' },
+    { artist: 'X', title: 'Video', link: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', provider: 'youtube', providerId: 'dQw4w9WgXcQ' }
+  ] }];
+  const songs = [
+    { artist: 'radiohead', title: 'Creep (Remastered)', link: '' },
+    { artist: 'Y', title: 'Other name', link: '', provider: 'youtube', providerId: 'dQw4w9WgXcQ' },
+    { artist: 'Coldplay', title: 'Yellow', link: '' },
+    { artist: 'Coldplay', title: 'Yellow', link: '' }
+  ];
+  const found = findDuplicates('Alex', songs, existing);
+  assert.deepEqual(found.map(d => [d.index, d.matchedBy, d.alias]), [[0, 'title', 'Sam'], [1, 'link', 'Sam'], [3, 'title', 'Alex']]);
+  assert.equal(describeDuplicates('Alex', found.slice(2)), '"Yellow" is listed twice');
+});
+
+test('songs without a title or link never match each other', () => {
+  assert.deepEqual(findDuplicates('A', [{ artist: '', title: '', link: '' }, { artist: '', title: '', link: '' }], []), []);
+});
@@ -0,0 +1,47 @@
+// backend/test/links.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLink } = require('../links');
+
+test('an empty link is fine and has no provider', () => {
+  assert.deepEqual(normalizeLink('  '), { link: '', provider: null, providerId: null, kind: null });
+});
+
+test('YouTube links in any shape become one canonical watch URL', () => {
+  const canonical = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  for (const raw of [
+    'https://youtu.be/dQw4w9WgXcQ',
+    'youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+    'https://m.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ'
+  ]) {
+    assert.equal(normalizeLink(raw).link, canonical, raw);
+  }
+  assert.ok(normalizeLink('https://www.youtube.com/channel/abc').error);
+});
+
+test('Spotify URIs and localised links are canonicalised', () => {
+  const id = '4cOdK2wGLETKBW3PvgPWqT';
+  const expected = { provider: 'spotify', providerId: id, kind: 'track', link: `https://open.spotify.com/track/${id}` };
+  assert.deepEqual(normalizeLink(`spotify:track:${id}`), expected);
+  assert.deepEqual(normalizeLink(`https://open.spotify.com/intl-de/track/${id}?si=x`), expected);
+});
+
+test('Apple Music album links with ?i= point at the track', () => {
+  const found = normalizeLink('https://music.apple.com/GB/album/some-album/1440857781?i=1440857787');
+  assert.equal(found.kind, 'track');
+  assert.equal(found.providerId, '1440857787');
+  assert.equal(found.link, 'https://music.apple.com/gb/album/some-album/1440857781?i=1440857787');
+});
+
+test('SoundCloud and Bandcamp links are recognised', () => {
+  assert.equal(normalizeLink('https://soundcloud.com/Artist/Track-Name').link, 'https://soundcloud.com/artist/track-name');
+  assert.equal(normalizeLink('https://artist.bandcamp.com/track/song').provider, 'bandcamp');
+});
+
+test('other web links are kept without their fragment; anything else is refused', () => {
+  assert.deepEqual(normalizeLink('example.com/song#top'), { link: 'https://example.com/song', provider: null, providerId: null, kind: null });
+  assert.ok(normalizeLink('javascript:alert(1)').error);
+  assert.ok(normalizeLink('ftp://example.com/x').error);
+  assert.ok(normalizeLink('http://1').error);
+});
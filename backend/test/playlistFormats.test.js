@@ -0,0 +1,63 @@
+// backend/test/playlistFormats.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toM3U, toXSPF, toCSV, parseLine, parsePlaylist } = require('../playlistFormats');
+
+const songs = [
+  { artist: 'Radiohead', title: 'Creep', link: 'https://www.youtube.com/watch?v=XFkzRNyygfk' },
+  { artist: 'AC/DC', title: 'T.N.T. & more', link: '' }
+];
+
+test('parseLine reads "Artist - Title <url>", en dashes and bare titles', () => {
+  assert.deepEqual(parseLine('Radiohead - Creep <https://youtu.be/XFkzRNyygfk>'),
+    { artist: 'Radiohead', title: 'Creep', link: 'https://youtu.be/XFkzRNyygfk' });
+  assert.deepEqual(parseLine('Björk – Army of Me'), { artist: 'Björk', title: 'Army of Me', link: '' });
+  assert.deepEqual(parseLine('Just a title'), { artist: '', title: 'Just a title', link: '' });
+});
+
+test('M3U and XSPF exports parse back to the same songs', () => {
+  assert.deepEqual(parsePlaylist(toM3U('Mix', songs)), { format: 'm3u', songs });
+  assert.deepEqual(parsePlaylist(toXSPF('Mix', songs)), { format: 'xspf', songs });
+});
+
+test('CSV with a header is found by column name, in any order and with quoting', () => {
+  const text = 'Track Name,Artist Name(s),Spotify URI\n"Hello, Goodbye",The Beatles,spotify:track:x\n';
+  assert.deepEqual(parsePlaylist(text), {
+    format: 'csv',
+    songs: [{ artist: 'The Beatles', title: 'Hello, Goodbye', link: 'spotify:track:x' }]
+  });
+});
+
+test('plain lines skip blanks and comments; an explicit format wins over sniffing', () => {
+  assert.deepEqual(parsePlaylist('\uFEFF# my list\n\nA - B\n').songs, [{ artist: 'A', title: 'B', link: '' }]);
+  assert.equal(parsePlaylist('artist,title\nA,B', 'lines').format, 'lines');
+});
+
+test('unknown formats, including inherited object keys, fall back to sniffing', () => {
+  for (const format of ['toString', 'constructor', '__proto__', 'bogus']) {
+    assert.deepEqual(parsePlaylist('A - B', format), { format: 'lines', songs: [{ artist: 'A', title: 'B', link: '' }] });
+  }
+});
+
+test('toCSV quotes cells with commas, quotes and newlines', () => {
+  const rows = [{ artist: 'A, B', title: 'Say "hi"', link: 'line\nbreak' }];
+  assert.equal(toCSV(rows, ['artist', 'title', 'link']), 'artist,title,link\r\n"A, B","Say ""hi""","line\nbreak"\r\n');
+});
+
+test('toCSV keeps formula-like text from running in a spreadsheet', () => {
+  const rows = [{ artist: '=HYPERLINK("http://evil")', title: '+1', link: '@cmd', comment: '-2+3', finalVotes: -1 }];
+  assert.equal(toCSV(rows, ['artist', 'title', 'link', 'comment', 'finalVotes']),
+    'artist,title,link,comment,finalVotes\r\n"\'=HYPERLINK(""http://evil"")",\'+1,\'@cmd,\'-2+3,-1\r\n');
+});
+
+test('toM3U keeps every field on its own line', () => {
+  const m3u = toM3U('Mix', [{ artist: 'A\nhttp://evil.example/x.mp3', title: 'B\r\n#EXTINF:-1,C', link: 'https://example.com/b\nhttp://evil.example' }]);
+  assert.deepEqual(m3u.split('\n'), [
+    '#EXTM3U',
+    '#PLAYLIST:Mix',
+    '#EXTINF:-1,A http://evil.example/x.mp3 - B #EXTINF:-1,C',
+    'https://example.com/b http://evil.example',
+    ''
+  ]);
+  assert.equal(parsePlaylist(m3u).songs.length, 1);
+});
@@ -0,0 +1,53 @@
+// backend/test/voting.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBallot, validateBallot, countVotes } = require('../voting');
+
+test('normalizeBallot accepts numbers, numeric strings and legacy { playlistIndex } picks', () => {
+  assert.deepEqual(normalizeBallot(2), [2]);
+  assert.deepEqual(normalizeBallot(['1', { playlistIndex: 3 }, 1]), [1, 3]);
+  assert.deepEqual(normalizeBallot([null, '', 'x', 1.5]), []);
+});
+
+test('validateBallot rejects picks off the ballot, repeats, own songs and extra plurality picks', () => {
+  assert.deepEqual(validateBallot('plurality', 1, [0, 1, 2]), { ballot: [1] });
+  assert.ok(validateBallot('plurality', 5, [0, 1, 2]).error);
+  assert.ok(validateBallot('ranked', [1, 1], [0, 1, 2]).error);
+  assert.ok(validateBallot('approval', [0, 2], [0, 1, 2], 2).error);
+  assert.ok(validateBallot('plurality', [0, 1], [0, 1, 2]).error);
+  assert.ok(validateBallot('approval', [], [0, 1, 2]).error);
+});
+
+test('plurality counts first picks and reports ties as several winners', () => {
+  assert.deepEqual(countVotes('plurality', [0, 1, 2], [[0], [1], [0]]).winners, [0]);
+  assert.deepEqual(countVotes('plurality', [0, 1], [[0], [1]]).winners, [0, 1]);
+});
+
+test('approval counts every approved song', () => {
+  const { rounds, winners } = countVotes('approval', [0, 1, 2], [[0, 1], [1, 2], [1]]);
+  assert.deepEqual(rounds[0].counts, { 0: 1, 1: 3, 2: 1 });
+  assert.deepEqual(winners, [1]);
+});
+
+test('borda gives first place candidates - 1 points and unranked songs nothing', () => {
+  const { rounds, winners } = countVotes('borda', [0, 1, 2], [[0, 1, 2], [1, 0], [1]]);
+  assert.deepEqual(rounds[0].counts, { 0: 3, 1: 5, 2: 0 });
+  assert.deepEqual(winners, [1]);
+});
+
+test('ranked drops the weakest song and transfers its ballots until there is a majority', () => {
+  const ballots = [[0, 1], [0, 1], [1, 0], [1, 0], [2, 1]];
+  const { rounds, winners } = countVotes('ranked', [0, 1, 2], ballots);
+  assert.equal(rounds.length, 2);
+  assert.deepEqual(rounds[0].eliminated, [2]);
+  assert.deepEqual(rounds[1].counts, { 0: 2, 1: 3 });
+  assert.deepEqual(winners, [1]);
+});
+
+test('ranked shares first place when everyone left is level', () => {
+  assert.deepEqual(countVotes('ranked', [0, 1], [[0], [1]]).winners, [0, 1]);
+});
+
+test('no candidates means no rounds and no winner', () => {
+  assert.deepEqual(countVotes('plurality', [], [[0]]), { rounds: [], winners: [] });
+});
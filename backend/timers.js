@@ -0,0 +1,85 @@
+// backend/timers.js
+
+/* -----------------------
+   Phase deadlines
+   ----------------------- */
+
+// Running setTimeout handles, keyed by gameId. Only the deadline itself
+// ({ phase, endsAt }) is stored on the game, so it survives a restart.
+const handles = new Map();
+
+function clearHandle(gameId) {
+  const handle = handles.get(gameId);
+  if (handle) clearTimeout(handle);
+  handles.delete(gameId);
+}
+
+function arm(game, gameId, onExpire) {
+  clearHandle(gameId);
+  const { phase, endsAt } = game.deadline;
+
+  const handle = setTimeout(() => {
+    handles.delete(gameId);
+    // The phase moved on without clearing the deadline — nothing to do
+    if (game.deadline?.phase !== phase || game.gamePhase !== phase) return;
+    game.deadline = null;
+    onExpire(game, gameId, phase);
+  }, Math.max(0, endsAt - Date.now()));
+
+  handles.set(gameId, handle);
+}
+
+/**
+ * Start a deadline for the game's current phase. Does nothing (and clears any old
+ * deadline) when seconds is null. Returns the deadline stored on the game.
+ */
+function setDeadline(game, gameId, seconds, onExpire) {
+  clearHandle(gameId);
+  game.deadline = seconds ? { phase: game.gamePhase, endsAt: Date.now() + seconds * 1000 } : null;
+  if (game.deadline) arm(game, gameId, onExpire);
+  return game.deadline;
+}
+
+function clearDeadline(game, gameId) {
+  clearHandle(gameId);
+  game.deadline = null;
+}
+
+/**
+ * Re-arm a deadline loaded from disk. Deadlines that passed while the server
+ * was down fire right away.
+ */
+function resumeDeadline(game, gameId, onExpire) {
+  if (!game.deadline) return;
+  if (game.deadline.phase !== game.gamePhase) {
+    game.deadline = null;
+    return;
+  }
+  arm(game, gameId, onExpire);
+}
+
+/* -----------------------
+   Departure grace periods
+   ----------------------- */
+
+// Pending "has this player left for good?" checks, keyed by `${gameId}:${alias}`.
+// Not persisted: after a restart every mid-game player simply gets a fresh grace period.
+const graceHandles = new Map();
+
+function startGracePeriod(gameId, alias, seconds, onExpire) {
+  cancelGracePeriod(gameId, alias);
+  const key = `${gameId}:${alias}`;
+  graceHandles.set(key, setTimeout(() => {
+    graceHandles.delete(key);
+    onExpire(gameId, alias);
+  }, seconds * 1000));
+}
+
+function cancelGracePeriod(gameId, alias) {
+  const key = `${gameId}:${alias}`;
+  const handle = graceHandles.get(key);
+  if (handle) clearTimeout(handle);
+  graceHandles.delete(key);
+}
+
+module.exports = { setDeadline, clearDeadline, resumeDeadline, startGracePeriod, cancelGracePeriod };
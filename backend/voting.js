@@ -0,0 +1,145 @@
+// backend/voting.js
+
+/* -----------------------
+   Final-mix voting systems
+   ----------------------- */
+
+/**
+ * Ballot shapes per method (candidates are final-mix playlist indexes):
+ *  - plurality: one candidate
+ *  - ranked (instant runoff): candidates in order of preference
+ *  - borda: candidates in order of preference; unranked candidates score nothing
+ *  - approval: any set of candidates
+ */
+const VOTING_METHODS = ['plurality', 'ranked', 'borda', 'approval'];
+
+// How a tie for first place is settled: another vote among the tied songs, or a shared win
+const TIE_BREAKS = ['runoff', 'shared'];
+
+/**
+ * Turn whatever a client sent into a list of candidate keys: a single number,
+ * an object with playlistIndex (legacy clients), or an array of either.
+ */
+function normalizeBallot(chosen) {
+  const list = Array.isArray(chosen) ? chosen : [chosen];
+  const keys = list
+    .map(entry => (entry && typeof entry === 'object') ? entry.playlistIndex : entry)
+    .filter(entry => typeof entry === 'number' || (typeof entry === 'string' && entry.trim() !== ''))
+    .map(Number)
+    .filter(Number.isInteger);
+  return [...new Set(keys)];
+}
+
+/**
+ * Check a ballot against the songs on offer before it's stored.
+ * Returns { ballot } (normalized list of playlist indexes) or { error }.
+ *  - every pick must be one of the candidates, with no repeats
+ *  - plurality (and every runoff) takes exactly one pick; other methods take one or more
+ *  - ownIndex, when given, is a playlist the voter may not vote for
+ */
+function validateBallot(method, chosen, candidates, ownIndex = null) {
+  const list = Array.isArray(chosen) ? chosen : [chosen];
+  const ballot = normalizeBallot(list);
+
+  if (ballot.length !== list.length) return { error: 'Invalid or repeated choice on the ballot' };
+  if (ballot.some(c => !candidates.includes(c))) return { error: 'That song is not on the ballot' };
+  if (ownIndex !== null && ballot.includes(ownIndex)) return { error: "You can't vote for the song from your own playlist" };
+  if (ballot.length === 0) return { error: 'Pick at least one song' };
+  if (method === 'plurality' && ballot.length !== 1) return { error: 'Pick exactly one song' };
+  return { ballot };
+}
+
+function emptyCounts(candidates) {
+  return Object.fromEntries(candidates.map(c => [c, 0]));
+}
+
+function leaders(counts) {
+  const best = Math.max(...Object.values(counts));
+  return Object.keys(counts).filter(c => counts[c] === best).map(Number);
+}
+
+function countPlurality(candidates, ballots) {
+  const counts = emptyCounts(candidates);
+  for (const ballot of ballots) {
+    const pick = ballot.find(c => c in counts);
+    if (pick !== undefined) counts[pick]++;
+  }
+  return { rounds: [{ counts }], winners: leaders(counts) };
+}
+
+function countApproval(candidates, ballots) {
+  const counts = emptyCounts(candidates);
+  for (const ballot of ballots) {
+    for (const c of ballot) if (c in counts) counts[c]++;
+  }
+  return { rounds: [{ counts }], winners: leaders(counts) };
+}
+
+function countBorda(candidates, ballots) {
+  const counts = emptyCounts(candidates);
+  for (const ballot of ballots) {
+    const ranked = ballot.filter(c => c in counts);
+    // First place earns (number of candidates - 1) points, second one less, and so on
+    ranked.forEach((c, rank) => { counts[c] += candidates.length - 1 - rank; });
+  }
+  return { rounds: [{ counts }], winners: leaders(counts) };
+}
+
+/**
+ * Instant runoff: count first preferences among the candidates still standing, drop the
+ * weakest and repeat until someone holds a majority of the ballots that are still live.
+ */
+function countRanked(candidates, ballots) {
+  let standing = candidates.slice();
+  const rounds = [];
+
+  while (standing.length) {
+    const counts = emptyCounts(standing);
+    let live = 0;
+    for (const ballot of ballots) {
+      const pick = ballot.find(c => c in counts);
+      if (pick === undefined) continue; // exhausted ballot
+      counts[pick]++;
+      live++;
+    }
+
+    const top = leaders(counts);
+    if (top.length === 1 && counts[top[0]] * 2 > live) {
+      rounds.push({ counts });
+      return { rounds, winners: top };
+    }
+
+    const fewest = Math.min(...Object.values(counts));
+    const eliminated = standing.filter(c => counts[c] === fewest);
+    // Everyone left is level — nobody can be dropped, so they share first place
+    if (eliminated.length === standing.length) {
+      rounds.push({ counts });
+      return { rounds, winners: standing };
+    }
+
+    rounds.push({ counts, eliminated });
+    standing = standing.filter(c => counts[c] !== fewest);
+  }
+
+  return { rounds, winners: [] };
+}
+
+const COUNTERS = {
+  plurality: countPlurality,
+  ranked: countRanked,
+  borda: countBorda,
+  approval: countApproval
+};
+
+/**
+ * Count ballots with the given method.
+ * Returns { rounds: [{ counts, eliminated? }], winners: [candidate, ...] };
+ * more than one winner means a tie for first place.
+ */
+function countVotes(method, candidates, ballots) {
+  const counter = COUNTERS[method] || countPlurality;
+  if (!candidates.length) return { rounds: [], winners: [] };
+  return counter(candidates, ballots.map(normalizeBallot));
+}
+
+module.exports = { VOTING_METHODS, TIE_BREAKS, normalizeBallot, validateBallot, countVotes };
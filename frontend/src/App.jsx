@@ -3,15 +3,65 @@
 import React, { useState, useEffect } from 'react';
 import io from 'socket.io-client';
 import EliminationHistoryViewer from "./components/EliminationHistoryViewer";
+import HostControls from "./components/HostControls";
+import Countdown from "./components/Countdown";
+import GameSettingsForm from "./components/GameSettingsForm";
+import BallotForm from "./components/BallotForm";
+import VoteBreakdown from "./components/VoteBreakdown";
+import ExportLinks from "./components/ExportLinks";
+import PlaylistImport from "./components/PlaylistImport";
+import SongLink from "./components/SongLink";
+import ErrorBanner from "./components/ErrorBanner";
+import ChatPanel from "./components/ChatPanel";
+import FinalMixList from "./components/FinalMixList";
+import RoundRecap from "./components/RoundRecap";
+import ProfilePanel from "./components/ProfilePanel";
+import StatsPage from "./components/StatsPage";
+import SeasonPanel from "./components/SeasonPanel";
+import SeasonStandings from "./components/SeasonStandings";
+import GameStandings from "./components/GameStandings";
+import PredictionForm from "./components/PredictionForm";
+import PredictionResults from "./components/PredictionResults";
+import LobbyBrowser from "./components/LobbyBrowser";
+import ExpiryNotice from "./components/ExpiryNotice";
+import { BACKEND_URL } from "./config";
+import { request } from "./protocol";
 
-const socket = io('https://music-madness-project-backend.onrender.com', {
+const socket = io(BACKEND_URL, {
   transports: ['websocket'],
 });
 
+// Mirrors the server defaults (backend/settings.js); the server validates whatever we send
+const DEFAULT_SETTINGS = {
+  visibility: 'private',
+  name: '',
+  playlistLength: 5,
+  minPlayers: 2,
+  maxPlayers: 12,
+  commentaryRequired: true,
+  commentMaxLength: 280,
+  linkRequired: false,
+  duplicatePolicy: 'warn',
+  eliminationsPerRound: 1,
+  assignmentStrategy: 'rotation',
+  assignmentSeed: null,
+  votingMethod: 'plurality',
+  tieBreak: 'runoff',
+  maxRunoffs: 2,
+  allowSelfVote: false,
+  predictions: false,
+  points: { survival: 1, backedCut: 2, perVote: 3, winner: 5, correctPrediction: 2 },
+  deadlines: { submission: null, elimination: null, voting: null },
+  timeoutAction: 'random',
+  spectatorsCanVote: false,
+  departGraceSeconds: 180,
+};
+
 export default function App() {
   const [gameId, setGameId] = useState('');
   const [password, setPassword] = useState('');
   const [alias, setAlias] = useState('');
+  const [token, setToken] = useState(''); // Secret session token the server issued for our seat
   const [playlist, setPlaylist] = useState([
     { artist: '', title: '', link: '' },
     { artist: '', title: '', link: '' },
@@ -21,31 +71,81 @@ export default function App() {
   ]);
   const [joined, setJoined] = useState(false);
   const [players, setPlayerList] = useState([]);
+  const [host, setHost] = useState(null); // Alias of the host, as recorded by the server
+  const [departed, setDeparted] = useState([]); // Aliases who left mid-game
+  const [reserved, setReserved] = useState([]); // Season roster members whose seat is still waiting for them
+  const [spectators, setSpectators] = useState([]); // Aliases watching without playing
+  const [isSpectator, setIsSpectator] = useState(false); // Whether this client is watching
   const [gamePhase, setGamePhase] = useState('lobby'); // 'joining', 'submitting', 'waiting'
   const [view, setView] = useState('home'); //can be 'home', 'lobby', 'submit'
   const [playlistSubmitted, setPlaylistSubmitted] = useState(false);
   const [assignedPlaylistIndex, setAssignedPlaylistIndex] = useState(null);
   const [playlists, setPlaylists] = useState([]);
-  const [eliminatedSongIndex, setEliminatedSongIndex] = useState(null);
+  const [eliminatedSongIndices, setEliminatedSongIndices] = useState([]);
   const [commentary, setCommentary] = useState('');
   const [round, setRound] = useState(1);
   const [assignedPlaylist, setAssignedPlaylist] = useState(null); // For rejoin + backend sync
   const [eliminationHistory, setEliminationHistory] = useState([]); // Shared elimination log
   const [eliminationSubmitted, setEliminationSubmitted] = useState(false); // For waiting state
   const [finalMix, setFinalMix] = useState([]); // Songs in final mix
-  const [selectedVote, setSelectedVote] = useState(null); // Chosen song in final mix
+  const [runoff, setRunoff] = useState(null); // { number, candidates } while a tie-break vote is running
   const [voteSubmitted, setVoteSubmitted] = useState(false); // Whether final vote is done
+  const [voteProgress, setVoteProgress] = useState(null); // { votesIn, eligible } for the open vote
   const [finalResults, setFinalResults] = useState(null);
   const [winningSong, setWinningSong] = useState(null); // Final results winner
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS); // Chosen on the home view when creating a game
+  const [deadline, setDeadline] = useState(null); // { phase, endsAt } for the current phase
+  const [clockOffset, setClockOffset] = useState(0); // server time minus local time (ms)
+  const [gameSettings, setGameSettings] = useState(null); // Settings of the game we're in
+  const [playlistWarning, setPlaylistWarning] = useState(''); // e.g. duplicate songs the server let through
+  const [error, setError] = useState(null); // { code, message, field } of the last request the server refused
+  const [chat, setChat] = useState([]); // Chat messages in the game room, oldest first
+  // Optional profile kept on this device: { id, name, token }
+  const [profile, setProfile] = useState(() => {
+    const id = localStorage.getItem('profileId');
+    return id ? { id, name: localStorage.getItem('profileName'), token: localStorage.getItem('profileToken') } : null;
+  });
+  const [standings, setStandings] = useState([]); // Everyone's points in this game, best first
+  const [prediction, setPrediction] = useState(null); // Playlist index we predicted will win (kept secret until the results)
+  const [predictionsIn, setPredictionsIn] = useState(0); // How many players have predicted
+  const [lobbyGames, setLobbyGames] = useState(null); // Public games for the lobby browser (null until loaded)
+  const [roster, setRoster] = useState(null); // Aliases a season game is kept for (null outside seasons)
+  const [season, setSeason] = useState(null); // Season payload (standings etc.) for the season game we're in or viewing
+  const [expiryNotice, setExpiryNotice] = useState(null); // The server is about to clear this game out (or has)
+  const [nextSeasonGame, setNextSeasonGame] = useState(null); // { gameId, host } once the next season game is open
+  // Season this device organizes: { id, name, token }
+  const [mySeason, setMySeason] = useState(() => {
+    const id = localStorage.getItem('seasonId');
+    return id ? { id, name: localStorage.getItem('seasonName'), token: localStorage.getItem('seasonToken') } : null;
+  });
 
-  // Listen for backend events
+  // Build the playlist form from the game's playlistLength
   useEffect(() => {
+    const length = gameSettings?.playlistLength;
+    if (!length) return;
+    setPlaylist(prev => Array.from({ length }, (_, i) => prev[i] || { artist: '', title: '', link: '' }));
+  }, [gameSettings?.playlistLength]);
 
-    const storedAlias = localStorage.getItem('alias');
-    const storedGame = localStorage.getItem('gameId');
-    if (storedAlias && storedGame) {
-      socket.emit('rejoinGame', { gameId: storedGame, alias: storedAlias });
-    }
+  // Rejoin a saved game on page load and whenever the socket reconnects (e.g. after a server restart)
+  useEffect(() => {
+    const rejoin = () => {
+      const storedAlias = localStorage.getItem('alias');
+      const storedGame = localStorage.getItem('gameId');
+      const storedToken = localStorage.getItem('sessionToken');
+      if (storedAlias && storedGame) {
+        setToken(storedToken || '');
+        // The outcome arrives as 'rejoinResult'; a failed restore isn't worth an error banner
+        request(socket, 'rejoinGame', { gameId: storedGame, alias: storedAlias, token: storedToken || undefined });
+      }
+    };
+
+    socket.on('connect', rejoin);
+    if (socket.connected) rejoin();
+    return () => socket.off('connect', rejoin);
+  }, []);
+
+  // Listen for backend events
+  useEffect(() => {
 
     // helper: find assignment for this alias (case-insensitive)
   function findAssignedForAlias(assignedMap, aliasToFind) {
@@ -57,27 +157,180 @@ export default function App() {
     return found ? found[1] : undefined;
   }
 
+    // rejoinResult / spectateResult: restore phase, round, assignment and submission flags
+    const restoreGameState = payload => {
+      console.log('game state received', payload);
+      if (!payload?.success) {
+        localStorage.removeItem('alias');
+        localStorage.removeItem('gameId');
+        localStorage.removeItem('sessionToken');
+        return;
+      }
+      setExpiryNotice(null);
+
+      const { gameId: rejoinedGame, alias: rejoinedAlias, spectator, players: currentPlayers, departed: currentDeparted,
+        spectators: currentSpectators, host: currentHost, gamePhase: phase,
+        assignedPlaylists, playlists: currentPlaylists, round: currentRound, finalMix: currentMix,
+        finalResults: results, runoff: currentRunoff, settings: currentSettings, deadline: currentDeadline, serverTime,
+        hasSubmittedPlaylist, hasSubmittedElimination, hasVoted, voteProgress: currentVoteProgress, chat: currentChat,
+        roster: currentRoster, reserved: currentReserved, season: currentSeason, standings: currentStandings,
+        prediction: currentPrediction, predictionsIn: currentPredictionsIn } = payload;
+
+      setJoined(true);
+      setGameId(rejoinedGame);
+      setAlias(rejoinedAlias);
+      setIsSpectator(!!spectator);
+      setPlayerList(currentPlayers || []);
+      setSpectators(currentSpectators || []);
+      setDeparted(currentDeparted || []);
+      setReserved(currentReserved || []);
+      setHost(currentHost || null);
+      setGameSettings(currentSettings || null);
+      setPlaylists(currentPlaylists || []);
+      setRound(currentRound || 1);
+      setFinalMix(currentMix || []);
+      setAssignedPlaylistIndex(findAssignedForAlias(assignedPlaylists, rejoinedAlias) ?? null);
+      setPlaylistSubmitted(!!hasSubmittedPlaylist);
+      setEliminationSubmitted(!!hasSubmittedElimination);
+      setVoteSubmitted(!!hasVoted);
+      setRunoff(currentRunoff || null);
+      setVoteProgress(currentVoteProgress || null);
+      setChat(currentChat || []);
+      setRoster(currentRoster || null);
+      setSeason(currentSeason || null);
+      setStandings(currentStandings || []);
+      setPrediction(currentPrediction ?? null);
+      setPredictionsIn(currentPredictionsIn || 0);
+      setDeadline(currentDeadline || null);
+      if (serverTime) setClockOffset(serverTime - Date.now());
+
+      if (phase === 'ended') {
+        setGamePhase('ended');
+        setView('ended');
+        return;
+      }
+
+      if (phase === 'finished' && results) {
+        setGamePhase('final_results');
+        setFinalResults(results);
+        setWinningSong(results.results?.[0]?.song || null);
+        setView('final_results');
+        return;
+      }
+
+      setGamePhase(phase);
+      if (phase === 'lobby') setView('lobby');
+      else if (phase === 'final_mix') setView('final_mix');
+      else if (spectator) setView('spectate');
+      else if (phase === 'submission') setView('submit');
+      else if (phase?.startsWith('elimination')) setView('eliminate');
+    };
+
+    socket.on('rejoinResult', restoreGameState);
+    socket.on('spectateResult', restoreGameState);
+
     // game created / joined
-    socket.on('gameCreated', ({ gameId, players, gamePhase }) => {
+    // Our session token for this game: kept next to gameId/alias and sent with every event
+    socket.on('session', ({ gameId: sessionGame, alias: sessionAlias, token: sessionToken }) => {
+      setToken(sessionToken);
+      localStorage.setItem('gameId', sessionGame);
+      localStorage.setItem('alias', sessionAlias);
+      localStorage.setItem('sessionToken', sessionToken);
+    });
+
+    socket.on('gameCreated', ({ gameId, players, reserved, spectators, roster, host, gamePhase, settings }) => {
       console.log('Game created:', gameId);
       setJoined(true);
       setPlayerList(players);
+      setReserved(reserved || []);
+      setSpectators(spectators);
+      setRoster(roster || null);
+      setPrediction(null);
+      setPredictionsIn(0);
+      setHost(host);
+      setExpiryNotice(null);
+      setGameSettings(settings);
       setGamePhase(gamePhase);
       setGameId(gameId);
       setView('lobby');
     });
 
-    socket.on('playerJoined', ({ gamePhase, alias: joinedAlias, players }) => {
+    socket.on('playerJoined', ({ gamePhase, alias: joinedAlias, players, reserved, spectators, roster, host, settings }) => {
       console.log('Player joined:', joinedAlias);
       setJoined(true);
       setPlayerList(players);
+      setReserved(reserved || []);
+      setSpectators(spectators);
+      setRoster(roster || null);
+      setHost(host);
+      setGameSettings(settings);
       setGamePhase(gamePhase);
       setView('lobby');
     });
 
+    // Player list / host changed (kick or host transfer)
+    socket.on('playersUpdated', ({ players, departed, reserved, spectators, host }) => {
+      console.log('playersUpdated:', players, 'host:', host);
+      setPlayerList(players);
+      setDeparted(departed || []);
+      setReserved(reserved || []);
+      setSpectators(spectators);
+      setHost(host);
+    });
+
+    socket.on('kicked', ({ by, reason }) => {
+      console.log(`Kicked by ${by}`, reason);
+      localStorage.removeItem('alias');
+      localStorage.removeItem('gameId');
+      localStorage.removeItem('sessionToken');
+      setJoined(false);
+      setView('home');
+      setGamePhase('lobby');
+      alert(by ? `You were removed from the game by ${by}.` : `You were removed from the game: ${reason}.`);
+    });
+
+    socket.on('gameExpiring', ({ expiresAt, serverTime, archived, idle }) => {
+      if (serverTime) setClockOffset(serverTime - Date.now());
+      setExpiryNotice({ expiresAt, archived, idle });
+    });
+
+    // The game is gone from the server: a finished game's results stay readable from the archive
+    socket.on('gameExpired', ({ gameId: expiredGame, archived, status }) => {
+      console.log(`Game ${expiredGame} expired`, { archived, status });
+      localStorage.removeItem('alias');
+      localStorage.removeItem('gameId');
+      localStorage.removeItem('sessionToken');
+      setExpiryNotice({ expired: true, archived, status });
+      setDeadline(null);
+      if (archived && (status === 'finished' || status === 'ended')) return;
+      setJoined(false);
+      setView('home');
+      setGamePhase('lobby');
+    });
+
+    socket.on('deadlineUpdated', ({ deadline: newDeadline, serverTime }) => {
+      console.log('deadlineUpdated:', newDeadline);
+      setDeadline(newDeadline || null);
+      if (serverTime) setClockOffset(serverTime - Date.now());
+    });
+
+    socket.on('playersSkipped', ({ aliases, round: skippedRound }) => {
+      console.log(`Round ${skippedRound}: host skipped`, aliases);
+      if (aliases.includes(alias)) {
+        setEliminationSubmitted(true);
+      }
+    });
+
+    socket.on('gameEnded', ({ endedBy, playlists: finalPlaylists }) => {
+      console.log(`Game ended by ${endedBy}`);
+      if (Array.isArray(finalPlaylists)) setPlaylists(finalPlaylists);
+      setGamePhase('ended');
+      setView('ended');
+    });
+
     // Main phase change handler
     socket.on('gamePhaseChanged', payload => {
-      const { gamePhase: newPhase, assignedPlaylists, playlists: newPlaylists, round: newRound, finalMix } = payload || {};
+      const { gamePhase: newPhase, assignedPlaylists, playlists: newPlaylists, round: newRound, finalMix, standings: newStandings } = payload || {};
       console.group(`🎮 Phase Transition -> ${gamePhase}`);
       console.log('gamePhaseChanged payload:', payload);
 
@@ -86,10 +339,12 @@ export default function App() {
       if (Array.isArray(newPlaylists)) setPlaylists(newPlaylists);
       if (Array.isArray(finalMix)) setFinalMix(finalMix);
       if (typeof newRound === 'number') setRound(newRound);
+      if (Array.isArray(newStandings)) setStandings(newStandings);
 
       // Reset local "submitted" flag when a new elimination round begins or when we enter final_mix
       if (typeof newPhase === 'string' && (newPhase.startsWith('elimination') || newPhase === 'final_mix')) {
         setEliminationSubmitted(false);
+        setEliminatedSongIndices([]);
         setPlaylistSubmitted(false); // defensive
       }
 
@@ -103,13 +358,21 @@ export default function App() {
             setView('eliminate');
           }
         } else {
-          // If no assignment for me (rare), clear assigned index
+          // No assignment for me: I sit this round out (or I'm spectating)
           setAssignedPlaylistIndex(null);
+          if (!isSpectator && typeof newPhase === 'string' && newPhase.startsWith('elimination')) {
+            setView('eliminate');
+          }
         }
       }
 
+      // Spectators follow along from their own view until the final mix
+      if (isSpectator && (newPhase === 'submission' || newPhase?.startsWith('elimination'))) {
+        setView('spectate');
+      }
+
       // If we are entering submission phase, swap view
-      if (newPhase === 'submission') {
+      if (newPhase === 'submission' && !isSpectator) {
         setView('submit');
       }
 
@@ -127,7 +390,7 @@ export default function App() {
           console.warn('Final mix phase entered but no songs found.');
         }
         setVoteSubmitted(false);
-        setSelectedVote(null);
+        setRunoff(null);
       }
 
       console.groupEnd();
@@ -148,18 +411,19 @@ export default function App() {
 
     socket.on('assignmentsUpdated', assigned => {
       console.log('assignmentsUpdated:', assigned);
-      // update assignedPlaylists map locally
-      if (assigned) {
+      // update assignedPlaylists map locally (also sent mid-round when someone departs,
+      // so leave eliminationSubmitted alone — gamePhaseChanged resets it for a new round)
+      if (assigned && !isSpectator) {
         const assignedForMe = findAssignedForAlias(assigned, alias);
-        if (assignedForMe !== undefined) {
-          setAssignedPlaylistIndex(assignedForMe);
-          // if we were waiting after submitting, clear and show eliminate UI
-          setEliminationSubmitted(false);
-          setView('eliminate');
-        }
+        setAssignedPlaylistIndex(assignedForMe ?? null);
+        setView('eliminate');
       }
     });
 
+    socket.on('playerDeparted', ({ alias: departedAlias, reason }) => {
+      console.log(`${departedAlias} left the game (${reason})`);
+    });
+
     // playlistSubmitted feedback
     socket.on('playlistSubmitted', ({ alias: submittedAlias }) => {
       console.log(`Playlist submitted by ${submittedAlias}`);
@@ -171,6 +435,13 @@ export default function App() {
       }
     });
 
+    // Requests are acknowledged (see send below); this catches failures of anything sent without one
+    socket.on('error', setError);
+
+    socket.on('playlistWarning', ({ message }) => {
+      setPlaylistWarning(message);
+    });
+
     socket.on('eliminationSubmitted', ({ alias: eliminatorAlias }) => {
       if (eliminatorAlias === alias) {
         setGamePhase('waiting');
@@ -183,51 +454,330 @@ export default function App() {
       setGamePhase('final_mix');
     });
     
-    socket.on('finalResults', ({ results, tally }) => {
-      console.log('finalResults payload:', { results, tally });
+    // A tie for first: vote again among the tied songs
+    socket.on('runoffStarted', ({ runoff: newRunoff, votesIn, eligible }) => {
+      setRunoff(newRunoff);
+      setVoteProgress({ votesIn, eligible });
+      setVoteSubmitted(false);
+    });
+
+    socket.on('finalResults', payload => {
+      const { results } = payload;
+      console.log('finalResults payload:', payload);
       setGamePhase('final_results');
-      setFinalResults({ results, tally }); // ✅ store entire results object
+      setRunoff(null);
+      setFinalResults(payload); // ✅ store entire results object (winners, tally, every count)
+      if (Array.isArray(payload.standings)) setStandings(payload.standings);
       setEliminationHistory(results.eliminationHistory || []);
       setWinningSong(results[0]?.song || null);
     });
 
 
-    socket.on('voteSubmitted', ({ alias: voterAlias }) => {
+    socket.on('predictionMade', ({ predictionsIn: count }) => {
+      setPredictionsIn(count);
+    });
+
+    // A season game finished: its scores are in the standings
+    socket.on('seasonUpdated', ({ season: updated }) => {
+      setSeason(updated);
+    });
+
+    // The organizer opened the next season game, with a seat already kept for us
+    socket.on('seasonGameStarted', ({ gameId: nextGame, host: nextHost }) => {
+      setNextSeasonGame({ gameId: nextGame, host: nextHost });
+    });
+
+    // Only sent once the server accepted the ballot; rejected ones come back as 'error'
+    socket.on('voteSubmitted', ({ alias: voterAlias, votesIn, eligible }) => {
+      setVoteProgress({ votesIn, eligible });
       if (voterAlias === alias) {
         setVoteSubmitted(true);
       }
     });
 
+    socket.on('chatMessage', message => {
+      setChat(prev => [...prev, message]);
+    });
+
+    // Reactions live on eliminationLog entries (inside playlists) and on final-mix entries
+    socket.on('reactionsUpdated', ({ target, reactions }) => {
+      if (target.kind === 'finalMix') {
+        setFinalMix(prev => prev.map(entry =>
+          entry.playlistIndex === target.playlistIndex ? { ...entry, reactions } : entry));
+        return;
+      }
+      setPlaylists(prev => prev.map((pl, idx) => idx !== target.playlistIndex ? pl : {
+        ...pl,
+        eliminationLog: (pl.eliminationLog || []).map(entry =>
+          entry.songId === target.songId ? { ...entry, reactions } : entry),
+      }));
+    });
+
 
     // Clean up on unmount
     return () => {
+      socket.off('rejoinResult');
+      socket.off('spectateResult');
+      socket.off('session');
       socket.off('gameCreated');
       socket.off('playerJoined');
+      socket.off('playersUpdated');
+      socket.off('kicked');
+      socket.off('playersSkipped');
+      socket.off('gameEnded');
+      socket.off('deadlineUpdated');
+      socket.off('gameExpiring');
+      socket.off('gameExpired');
       socket.off('gamePhaseChanged');
       socket.off('playlistsUpdated');
       socket.off('assignmentsUpdated');
+      socket.off('playerDeparted');
       socket.off('playlistSubmitted');
+      socket.off('error');
+      socket.off('playlistWarning');
       socket.off('finalMixReady');
       socket.off('voteResults');
+      socket.off('runoffStarted');
       socket.off('finalResults');
       socket.off('voteSubmitted');
+      socket.off('chatMessage');
+      socket.off('reactionsUpdated');
+      socket.off('seasonUpdated');
+      socket.off('seasonGameStarted');
+      socket.off('predictionMade');
     };
-  }, [alias]); // keep alias in deps so handlers see the latest alias
+  }, [alias, isSpectator]); // keep alias in deps so handlers see the latest alias
 
 
 
 
+  // Lobby browser: follow the public games while we're on the home view (again after a reconnect)
+  useEffect(() => {
+    if (view !== 'home') return;
+    const watch = async () => {
+      const reply = await request(socket, 'watchLobby', {});
+      if (reply.ok) setLobbyGames(reply.games);
+    };
+    const onUpdate = ({ games }) => setLobbyGames(games);
+
+    watch();
+    socket.on('connect', watch);
+    socket.on('lobbyUpdated', onUpdate);
+    return () => {
+      socket.off('connect', watch);
+      socket.off('lobbyUpdated', onUpdate);
+      socket.emit('unwatchLobby', {});
+    };
+  }, [view]);
+
+  // Send a request; if the server refuses it, show why. Resolves with the server's reply.
+  const send = async (event, payload) => {
+    const reply = await request(socket, event, payload);
+    setError(reply.ok ? null : reply.error);
+    return reply;
+  };
+
+  // What we send to link a game seat to our profile (nothing without one)
+  const profileCredentials = profile ? { id: profile.id, token: profile.token } : undefined;
+
+  const handleCreateProfile = async name => {
+    const reply = await send('createProfile', { name });
+    if (reply.ok) {
+      localStorage.setItem('profileId', reply.profile.id);
+      localStorage.setItem('profileName', reply.profile.name);
+      localStorage.setItem('profileToken', reply.token);
+      setProfile({ ...reply.profile, token: reply.token });
+    }
+    return reply;
+  };
+
+  const handleForgetProfile = () => {
+    localStorage.removeItem('profileId');
+    localStorage.removeItem('profileName');
+    localStorage.removeItem('profileToken');
+    setProfile(null);
+  };
+
+  const handleCreateSeason = async ({ name, roster: seasonRoster, scoring }) => {
+    if (!alias) {
+      setError({ code: 'INVALID_PAYLOAD', message: 'Enter your alias first — you organize the season', field: 'alias' });
+      return null;
+    }
+    const reply = await send('createSeason', { name, alias, password, roster: seasonRoster, settings, scoring });
+    if (reply.ok) {
+      localStorage.setItem('seasonId', reply.season.id);
+      localStorage.setItem('seasonName', reply.season.name);
+      localStorage.setItem('seasonToken', reply.seasonToken);
+      setMySeason({ id: reply.season.id, name: reply.season.name, token: reply.seasonToken });
+      setSeason(reply.season);
+    }
+    return reply;
+  };
+
+  // The organizer hosts every season game, under the Game ID typed above
+  const handleStartSeasonGame = async () => {
+    if (!gameId) {
+      setError({ code: 'INVALID_PAYLOAD', message: 'Enter a Game ID for the new game', field: 'gameId' });
+      return;
+    }
+    const reply = await send('startSeasonGame', { seasonId: mySeason.id, seasonToken: mySeason.token, gameId, profile: profileCredentials });
+    if (reply.ok) {
+      setAlias(reply.season.host);
+      setSeason(reply.season);
+    }
+  };
+
+  const handleShowStandings = async () => {
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/seasons/${encodeURIComponent(mySeason.id)}?password=${encodeURIComponent(password)}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setError({ code: res.status === 401 ? 'WRONG_PASSWORD' : 'SEASON_NOT_FOUND', message: data.error, field: null });
+        return;
+      }
+      setSeason(data);
+      setView('season');
+    } catch (err) {
+      console.error('Loading standings failed', err);
+      setError({ code: 'TIMEOUT', message: "Couldn't reach the server to load the standings", field: null });
+    }
+  };
+
+  const handleForgetSeason = () => {
+    localStorage.removeItem('seasonId');
+    localStorage.removeItem('seasonName');
+    localStorage.removeItem('seasonToken');
+    setMySeason(null);
+  };
+
   const handleCreateGame = () => {
     if (!gameId || !password) return;
-    socket.emit('createGame', { gameId, password, alias });
+    // gameId / alias / token are saved once the server answers with our 'session'
+    send('createGame', { gameId, password, alias, profile: profileCredentials, settings });
     console.log('Creating game with:', gameId, password, alias);
   };
 
-  const handleJoinGame = () => {
+  const handleJoinGame = async () => {
     if (!gameId || !password || !alias) return;
-    socket.emit('joinGame', { gameId, alias, password });
-    localStorage.setItem('alias', alias);
-    localStorage.setItem('gameId', gameId);
+    const reply = await send('joinGame', { gameId, alias, password, profile: profileCredentials });
+    if (reply.ok) setChat(reply.chat || []);
+  };
+
+  const handleKickPlayer = target => {
+    if (!window.confirm(`Kick ${target} from the game?`)) return;
+    send('kickPlayer', { gameId, alias, token, target });
+  };
+
+  const handleTransferHost = newHost => {
+    if (!window.confirm(`Make ${newHost} the host? You will lose host controls.`)) return;
+    send('transferHost', { gameId, alias, token, newHost });
+  };
+
+  const handleForceAdvance = () => {
+    send('forceAdvance', { gameId, alias, token });
+  };
+
+  const handleMarkDeparted = target => {
+    if (!window.confirm(`Mark ${target} as gone for good? The game will continue without them.`)) return;
+    send('markDeparted', { gameId, alias, token, target });
+  };
+
+  const handleCloseVoting = () => {
+    send('closeVoting', { gameId, alias, token });
+  };
+
+  const handleEndGame = () => {
+    send('endGame', { gameId, alias, token });
+  };
+
+  const isHost = !!alias && alias === host;
+
+  const handleSendChat = text => send('sendChat', { gameId, alias, token, text });
+
+  const handleReactToElimination = (playlistIndex, songId, emoji) => {
+    send('react', { gameId, alias, token, target: { kind: 'elimination', playlistIndex, songId }, emoji });
+  };
+
+  const handleReactToFinalMix = (playlistIndex, emoji) => {
+    send('react', { gameId, alias, token, target: { kind: 'finalMix', playlistIndex }, emoji });
+  };
+
+  const handlePredict = async playlistIndex => {
+    const reply = await send('predictWinner', { gameId, alias, token, playlistIndex });
+    if (reply.ok) setPrediction(playlistIndex);
+  };
+
+  // Take the seat kept for us in the next season game, straight from this one's results
+  const handleJoinNextSeasonGame = async () => {
+    const reply = await send('joinGame', { gameId: nextSeasonGame.gameId, alias, password, profile: profileCredentials });
+    if (!reply.ok) return;
+    setGameId(nextSeasonGame.gameId);
+    setNextSeasonGame(null);
+    setChat(reply.chat || []);
+    // Nothing from the last game carries over
+    setPlaylistSubmitted(false);
+    setAssignedPlaylistIndex(null);
+    setPlaylists([]);
+    setRound(1);
+    setEliminationSubmitted(false);
+    setFinalMix([]);
+    setRunoff(null);
+    setVoteSubmitted(false);
+    setVoteProgress(null);
+    setFinalResults(null);
+    setWinningSong(null);
+    setStandings([]);
+    setPrediction(null);
+    setPredictionsIn(0);
+    setExpiryNotice(null);
+  };
+
+  // One-click join from the lobby browser (asks for the password only when the game has one)
+  const handleJoinFromLobby = async (entry, spectate = false) => {
+    if (!alias) {
+      setError({ code: 'INVALID_PAYLOAD', message: 'Enter your alias first', field: 'alias' });
+      return;
+    }
+    let gamePassword = '';
+    if (entry.passwordProtected) {
+      gamePassword = window.prompt(`Password for ${entry.name}:`);
+      if (gamePassword === null) return;
+    }
+    setGameId(entry.gameId);
+    setPassword(gamePassword);
+    if (spectate) {
+      send('joinGame', { gameId: entry.gameId, alias, password: gamePassword, spectator: true });
+      return;
+    }
+    const reply = await send('joinGame', { gameId: entry.gameId, alias, password: gamePassword, profile: profileCredentials });
+    if (reply.ok) setChat(reply.chat || []);
+  };
+
+  const handleSpectate = () => {
+    if (!gameId || !password || !alias) return;
+    send('joinGame', { gameId, alias, password, spectator: true });
+  };
+
+  const canVote = !isSpectator || !!gameSettings?.spectatorsCanVote;
+  // During a runoff only the tied songs are on the ballot
+  // (and, unless the game allows it, not the song from your own playlist)
+  const ballotEntries = (runoff ? finalMix.filter(entry => runoff.candidates.includes(entry.playlistIndex)) : finalMix)
+    .filter(entry => gameSettings?.allowSelfVote || entry.originAlias !== alias);
+  const rules = gameSettings || DEFAULT_SETTINGS;
+
+  // Songs to cut this round: eliminationsPerRound, but never the assigned playlist's last song
+  const assignedRemaining = playlists[assignedPlaylistIndex]?.songs.filter(s => !s.eliminated).length ?? 0;
+  const cutsRequired = Math.max(0, Math.min(rules.eliminationsPerRound, assignedRemaining - 1));
+
+  const toggleEliminatedSong = index => {
+    if (cutsRequired <= 1) {
+      setEliminatedSongIndices([index]);
+      return;
+    }
+    setEliminatedSongIndices(prev => {
+      if (prev.includes(index)) return prev.filter(i => i !== index);
+      return prev.length < cutsRequired ? [...prev, index] : prev;
+    });
   };
 
   const handleSubmitPlaylist = () => {
@@ -235,28 +785,33 @@ export default function App() {
       !song || !song.title || !song.artist || song.title.trim() === '' || song.artist.trim() === ''
     );
     if (invalid) {
-      alert('Each song must include an artist and title (link optional).');
+      alert(`Each song must include an artist and title${rules.linkRequired ? ' and a link' : ' (link optional)'}.`);
+      return;
+    }
+    if (rules.linkRequired && playlist.some(song => !song.link || song.link.trim() === '')) {
+      alert('Each song must include a link in this game.');
       return;
     }
 
     // send as-is; backend will normalize ids and shape
     console.log('Submitting playlist', { gameId, alias, playlist });
-    socket.emit('submitPlaylist', { gameId, alias, playlist });
-    setPlaylistSubmitted(true);
+    // playlistSubmitted from the server moves us on to waiting
+    send('submitPlaylist', { gameId, alias, token, playlist });
   };
 
-  const handleSubmitElimination = () => {
-    // send elimination to server
-    socket.emit('submitElimination', {
+  const handleSubmitElimination = async () => {
+    const reply = await send('submitElimination', {
       gameId,
       alias,
+      token,
       playlistIndex: assignedPlaylistIndex,
-      eliminatedSongIndex,
+      eliminatedSongIndices,
       comment: commentary,
     });
+    if (!reply.ok) return;
 
     // Clear selection inputs but keep a "waiting" flag so the player sees a confirmation
-    setEliminatedSongIndex(null);
+    setEliminatedSongIndices([]);
     setCommentary('');
     setEliminationSubmitted(true);
   };
@@ -265,44 +820,111 @@ export default function App() {
   return (
     <div className="p-4 max-w-xl mx-auto space-y-4">
       <h1 className="text-2xl font-bold">Playlist Elimination Game</h1>
+      <Countdown deadline={deadline} clockOffset={clockOffset} />
+      <ErrorBanner error={error} onDismiss={() => setError(null)} />
+      <ExpiryNotice notice={expiryNotice} clockOffset={clockOffset} onDismiss={() => setExpiryNotice(null)} />
 
       {view === 'home' && (
         <>
           <input value={gameId} onChange={e => setGameId(e.target.value)} placeholder="Game ID" className="input" />
           <input value={password} onChange={e => setPassword(e.target.value)} placeholder="Password" className="input" type="password" />
           <input value={alias} onChange={e => setAlias(e.target.value)} placeholder="Your Alias" className="input" />
+          <ProfilePanel
+            profile={profile}
+            onCreate={handleCreateProfile}
+            onForget={handleForgetProfile}
+            onShowStats={() => setView('stats')}
+          />
+          <GameSettingsForm settings={settings} onChange={setSettings} />
+          <SeasonPanel
+            season={mySeason}
+            onCreate={handleCreateSeason}
+            onStartGame={handleStartSeasonGame}
+            onShowStandings={handleShowStandings}
+            onForget={handleForgetSeason}
+          />
           <button onClick={handleCreateGame} className="btn">Create Game</button>
           <button onClick={handleJoinGame} className="btn">Join Game</button>
+          <button onClick={handleSpectate} className="btn">Watch Game</button>
+          <LobbyBrowser games={lobbyGames} onJoin={entry => handleJoinFromLobby(entry)} onWatch={entry => handleJoinFromLobby(entry, true)} />
           <p>Phase: {gamePhase} | View: {view}</p>
         </>
       )}
 
+      {view === 'season' && (
+        <div>
+          <button className="btn" onClick={() => setView('home')}>◀ Back</button>
+          <SeasonStandings season={season} alias={alias} />
+        </div>
+      )}
+
+      {view === 'stats' && profile && (
+        <StatsPage profileId={profile.id} onBack={() => setView('home')} />
+      )}
+
       {view === 'lobby' && (
         <div className="space-y-4">
           <h2 className="text-lg font-semibold">Waiting in Lobby (Game ID: {gameId})</h2>
           <ul className="list-disc list-inside">
-            {players.map((player, idx) => <li key={idx}>{player || <em>(unnamed)</em>}</li>)}
+            {players.map((player, idx) => (
+              <li key={idx}>
+                {player || <em>(unnamed)</em>}
+                {player === host && ' 👑'}
+                {reserved.includes(player) && <em> (seat kept — not here yet)</em>}
+                {isHost && player !== alias && (
+                  <>
+                    {' '}
+                    {!reserved.includes(player) && <button className="btn" onClick={() => handleTransferHost(player)}>Make Host</button>}
+                    {' '}
+                    <button className="btn" onClick={() => handleKickPlayer(player)}>Kick</button>
+                  </>
+                )}
+              </li>
+            ))}
           </ul>
-          {alias === players[0] && (
+          {isHost && (
             <button
               className="btn mt-2"
               onClick={() => {
                 console.log('Start Game clicked');
-                socket.emit('startGame', { gameId });
+                send('startGame', { gameId, alias, token });
               }}
             >
               Start Game
             </button>
           )}
+          {spectators.length > 0 && (
+            <p>👀 Watching: {spectators.join(', ')}</p>
+          )}
+          {roster && reserved.length > 0 && (
+            <p>🏅 Season game — still to join: {reserved.join(', ')} (seats nobody takes are given up when the game starts)</p>
+          )}
           <p>Phase: {gamePhase} | View: {view}</p>
         </div>
       )}
 
+      {view === 'spectate' && (
+        <div>
+          <h2 className="font-semibold">👀 Spectating {gameId}</h2>
+          <p>
+            {gamePhase === 'submission' ? 'Players are submitting their playlists...' : `Elimination round ${round}`}
+          </p>
+          <p>Players: {players.map(p => (departed.includes(p) ? `${p} (left)` : p)).join(', ')}</p>
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
+        </div>
+      )}
+
       {view === 'submit' && 
       (!playlistSubmitted ? (
         <div>
           <h2 className="font-semibold">Your Playlist</h2>
           <p>Phase: {gamePhase} | View: {view}</p>
+          <PlaylistImport
+            playlistLength={rules.playlistLength}
+            onImport={songs => setPlaylist(Array.from({ length: rules.playlistLength },
+              (_, i) => songs[i] ? { ...songs[i] } : { artist: '', title: '', link: '' }))}
+          />
           {playlist.map((song, idx) => (
             <div key={idx} className="border p-2 mb-2 rounded">
               <input
@@ -332,7 +954,7 @@ export default function App() {
                   updated[idx].link = e.target.value;
                   setPlaylist(updated);
                 }}
-                placeholder="Link (YouTube, Spotify, etc.)"
+                placeholder={rules.linkRequired ? 'Link (required)' : 'Link (YouTube, Spotify, etc.)'}
                 className="input"
               />
             </div>
@@ -340,13 +962,27 @@ export default function App() {
           <button onClick={handleSubmitPlaylist} className="btn mt-2">Submit Playlist</button>
         </div>
       ) : (
-        <p className="text-green-700">🎶 Playlist submitted! Waiting for others...</p>
+        <div>
+          <p className="text-green-700">🎶 Playlist submitted! Waiting for others...</p>
+          {playlistWarning && <p>⚠️ {playlistWarning}</p>}
+        </div>
       ))}
 
+      {view === 'eliminate' && assignedPlaylistIndex === null && (
+        <div>
+          <p>🪑 You sit out round {round} — no playlist needs your cut. Waiting for others...</p>
+          <h3 className="mt-4 font-semibold">Elimination History</h3>
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
+        </div>
+      )}
+
       {view === 'eliminate' && assignedPlaylistIndex !== null && playlists[assignedPlaylistIndex] && 
       (!eliminationSubmitted ? (
         <div>
-          <h2 className="font-semibold">Round {round}: Eliminate a Song</h2>
+          <h2 className="font-semibold">
+            Round {round}: Eliminate {cutsRequired === 1 ? 'a Song' : `${cutsRequired} Songs`}
+          </h2>
 
           <h3 className="mt-4 font-semibold">Assigned Playlist ({playlists[assignedPlaylistIndex].alias})</h3>
           <ul>
@@ -354,53 +990,57 @@ export default function App() {
               <li key={song.id || index} className="mb-2 border-b pb-1">
                 <label style={{display:'flex', alignItems:'center', gap:8}}>
                   <input
-                    type="radio"
+                    type={cutsRequired > 1 ? 'checkbox' : 'radio'}
                     name="eliminatedSong"
                     value={index}
-                    checked={eliminatedSongIndex === index}
+                    checked={eliminatedSongIndices.includes(index)}
                     disabled={!!song.eliminated}
-                    onChange={() => setEliminatedSongIndex(index)}
+                    onChange={() => toggleEliminatedSong(index)}
                   />
                   <span style={{ textDecoration: song.eliminated ? 'line-through' : 'none' }}>
-                    "{song.title}" by {song.artist} - <a href={song.link} target="_blank" rel="noopener noreferrer" className="text-blue-500 underline">Listen</a>
+                    "{song.title}" by {song.artist}
                   </span>
                 </label>
-
-                {/* {song.link && (
-                  <div className="ml-6">
-                    
-                  </div>
-                )} */}
+                <SongLink song={song} embed={!song.eliminated} />
 
               </li>
             ))}
           </ul>
 
           {<textarea
-            placeholder="Add your snarky commentary to accompany your elimination..."
+            placeholder={`Add your snarky commentary to accompany your elimination${rules.commentaryRequired ? '' : ' (optional)'}...`}
             value={commentary}
+            maxLength={rules.commentMaxLength}
             onChange={(e) => setCommentary(e.target.value)}
             className="input w-full mt-2"
           />}
+          <small>{commentary.length}/{rules.commentMaxLength}</small>
 
           {<button
             className="btn mt-2"
-            disabled={eliminatedSongIndex === null || commentary.trim() === ''}
+            disabled={
+              eliminatedSongIndices.length !== cutsRequired
+              || (rules.commentaryRequired && commentary.trim() === '')
+            }
             onClick={handleSubmitElimination}
           >
             Submit Elimination
           </button>}
 
+          <GameStandings standings={standings} alias={alias} />
           <h3 className="mt-4 font-semibold">Elimination History</h3>
-          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} />
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
 
 
         </div>
       ) : (
         <div>
           <p className="text-green-700">🎶 Elimination submitted! Waiting for others...</p>
+          <GameStandings standings={standings} alias={alias} />
           <h3 className="mt-4 font-semibold">Elimination History</h3>
-          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} />
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
 
 
         </div>
@@ -408,43 +1048,69 @@ export default function App() {
       )}
 
 
+      {isHost && (view === 'eliminate' || gamePhase === 'final_mix') && (
+        <HostControls
+          canSkip={view === 'eliminate'}
+          onSkip={handleForceAdvance}
+          onEndGame={handleEndGame}
+          players={players.filter(p => p !== alias && !departed.includes(p))}
+          onMarkDeparted={handleMarkDeparted}
+          onCloseVoting={gamePhase === 'final_mix' ? handleCloseVoting : undefined}
+        />
+      )}
+
       {gamePhase === 'final_mix' && (
         !voteSubmitted ? (
         <div>
           <h2>🎧 Final Mix — Vote for Your Favorite Song!</h2>
-          {finalMix.map((entry, i) => (
-            <div key={i}>
-              <input
-                type="radio"
-                name="finalVote"
-                value={i}
-                onChange={() => setSelectedVote(i)}
-              />
-              <p><strong> From {entry.originAlias}'s playlist</strong>: {entry.song.title} by {entry.song.artist}</p>
-              {entry.song.link && <a href={entry.song.link} target="_blank" rel="noopener noreferrer">Listen</a>}
-            </div>
-          ))}
-          {voteSubmitted ? (
-            <p>✅ Your vote has been submitted! Waiting for others...</p>
+          {runoff && (
+            <p>🔁 It's a tie! Runoff vote {runoff.number}: pick one of the tied songs.</p>
+          )}
+          {gameSettings?.predictions && !isSpectator && (
+            <PredictionForm
+              entries={finalMix}
+              prediction={prediction}
+              predictionsIn={predictionsIn}
+              closed={!!runoff}
+              onPredict={handlePredict}
+            />
+          )}
+          {canVote ? (
+            <BallotForm
+              method={runoff ? 'plurality' : gameSettings?.votingMethod}
+              entries={ballotEntries}
+              onSubmit={chosen => send('finalVote', { gameId, alias, token, chosen })}
+            />
           ) : (
-            <button onClick={() => {
-              if (selectedVote === null || selectedVote === undefined) return alert("Please select a song before voting!");
-              socket.emit('finalVote', { gameId, alias, chosen: selectedVote });
-              setVoteSubmitted(true);
-            }}
-            >
-              Submit Vote
-            </button>
+            <>
+              <FinalMixList entries={ballotEntries} alias={alias} onReact={handleReactToFinalMix} />
+              <p>👀 You're spectating — the players are voting...</p>
+            </>
+          )}
+          {canVote && (
+            <>
+              <h3>React to the Final Mix</h3>
+              <FinalMixList entries={finalMix} alias={alias} onReact={handleReactToFinalMix} />
+            </>
           )}
           
-          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} />
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
 
         </div>
         ) : (
           <div>
             <p>✅ Your vote has been submitted! Waiting for others...</p>
+            {voteProgress && <p>{voteProgress.votesIn} of {voteProgress.eligible} votes in</p>}
+            {gameSettings?.predictions && !isSpectator && (
+              <PredictionForm entries={finalMix} prediction={prediction} predictionsIn={predictionsIn} closed />
+            )}
+            <button className="btn" onClick={() => setVoteSubmitted(false)}>Change My Vote</button>
+            <h3>React to the Final Mix</h3>
+            <FinalMixList entries={finalMix} alias={alias} onReact={handleReactToFinalMix} />
             
-            <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} />
+            <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+            <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
 
           </div>
         )
@@ -452,15 +1118,54 @@ export default function App() {
 
       {gamePhase === 'final_results' && (
         <div className="text-center">
-          <h2>🏆 The Winner Is...</h2>
-          <h3>{winningSong?.artist} - {winningSong?.title} {winningSong.link && <a href={winningSong.link} target="_blank" rel="noopener noreferrer">Listen</a>}</h3>
+          {finalResults?.tied ? (
+            <>
+              <h2>🏆 It's a Shared Win!</h2>
+              {finalResults.results.map(({ playlistIndex, song }) => (
+                <h3 key={playlistIndex}>{song?.artist} - {song?.title} <SongLink song={song} /></h3>
+              ))}
+            </>
+          ) : (
+            <>
+              <h2>🏆 The Winner Is...</h2>
+              <h3>{winningSong?.artist} - {winningSong?.title} <SongLink song={winningSong} /></h3>
+            </>
+          )}
           <h4>🎉 Congratulations!</h4>
+          <VoteBreakdown finalResults={finalResults} finalMix={finalMix} />
+          <PredictionResults predictions={finalResults?.predictions} finalMix={finalMix} alias={alias} />
+          <GameStandings standings={finalResults?.standings || standings} alias={alias} final />
+          {season && <SeasonStandings season={season} alias={alias} />}
+          {nextSeasonGame && !isSpectator && (
+            <p>
+              🏅 {nextSeasonGame.host} started the next season game ({nextSeasonGame.gameId}).{' '}
+              <button className="btn" onClick={handleJoinNextSeasonGame}>Take my seat</button>
+            </p>
+          )}
+          <h3>The Final Mix</h3>
+          <FinalMixList entries={finalMix} alias={alias} onReact={handleReactToFinalMix} />
+          <ExportLinks gameId={gameId} password={password} playlists={playlists} hasFinalMix={finalMix.length > 0} />
           <h3>Full Elimination History</h3>
-          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} />
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
 
         </div>
       )}
 
+      {view === 'ended' && (
+        <div className="text-center">
+          <h2>🛑 The host ended the game early</h2>
+          <ExportLinks gameId={gameId} password={password} playlists={playlists} hasFinalMix={finalMix.length > 0} />
+          <h3>Elimination History</h3>
+          <EliminationHistoryViewer playlists={playlists} finalResults={finalResults} alias={alias} onReact={handleReactToElimination} />
+          <RoundRecap playlists={playlists} finalMix={finalMix} finalResults={finalResults} />
+        </div>
+      )}
+
+      {joined && view !== 'home' && (
+        <ChatPanel messages={chat} alias={alias} onSend={handleSendChat} />
+      )}
+
     </div>
   );
 }
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from "react";
+import SongLink from "./SongLink";
+
+const INSTRUCTIONS = {
+  plurality: "Pick your favorite song.",
+  ranked: "Rank the songs — your vote moves to your next choice if your favorite is knocked out.",
+  borda: "Rank the songs — higher places earn more points.",
+  approval: "Tick every song you'd be happy to see win.",
+};
+
+/**
+ * BallotForm
+ *
+ * Final-mix ballot for the game's voting method.
+ *
+ * Props:
+ *  - method: 'plurality' | 'ranked' | 'borda' | 'approval' (a runoff always uses 'plurality')
+ *  - entries: final-mix entries to vote on ({ playlistIndex, originAlias, song })
+ *  - onSubmit: called with the ballot — a playlist index for plurality, an array of playlist indexes otherwise
+ */
+export default function BallotForm({ method = "plurality", entries = [], onSubmit }) {
+  const [pick, setPick] = useState(null);
+  const [order, setOrder] = useState(entries.map(e => e.playlistIndex));
+  const [approved, setApproved] = useState([]);
+
+  // A runoff narrows the entries; start the ballot over
+  const entryKey = entries.map(e => e.playlistIndex).join(",");
+  useEffect(() => {
+    setPick(null);
+    setOrder(entryKey ? entryKey.split(",").map(Number) : []);
+    setApproved([]);
+  }, [entryKey]);
+
+  const byIndex = Object.fromEntries(entries.map(e => [e.playlistIndex, e]));
+  const isRanking = method === "ranked" || method === "borda";
+
+  const move = (pos, delta) => {
+    const next = order.slice();
+    [next[pos], next[pos + delta]] = [next[pos + delta], next[pos]];
+    setOrder(next);
+  };
+
+  const toggle = playlistIndex => setApproved(prev =>
+    prev.includes(playlistIndex) ? prev.filter(i => i !== playlistIndex) : [...prev, playlistIndex]);
+
+  const submit = () => {
+    if (method === "approval") {
+      if (approved.length === 0) return alert("Tick at least one song before voting!");
+      return onSubmit(approved);
+    }
+    if (isRanking) return onSubmit(order);
+    if (pick === null) return alert("Please select a song before voting!");
+    onSubmit(pick);
+  };
+
+  const describe = entry => (
+    <>
+      <strong>From {entry.originAlias}'s playlist</strong>: {entry.song.title} by {entry.song.artist}
+      <SongLink song={entry.song} />
+    </>
+  );
+
+  return (
+    <div className="ballot">
+      <p><em>{INSTRUCTIONS[method] || INSTRUCTIONS.plurality}</em></p>
+
+      {isRanking ? (
+        <ol>
+          {order.filter(i => byIndex[i]).map((playlistIndex, pos) => (
+            <li key={playlistIndex} style={{ marginBottom: 4 }}>
+              <button className="btn" disabled={pos === 0} onClick={() => move(pos, -1)}>▲</button>{" "}
+              <button className="btn" disabled={pos === order.length - 1} onClick={() => move(pos, 1)}>▼</button>{" "}
+              {describe(byIndex[playlistIndex])}
+            </li>
+          ))}
+        </ol>
+      ) : (
+        entries.map(entry => (
+          <label key={entry.playlistIndex} style={{ display: "block", marginBottom: 4 }}>
+            {method === "approval" ? (
+              <input
+                type="checkbox"
+                checked={approved.includes(entry.playlistIndex)}
+                onChange={() => toggle(entry.playlistIndex)}
+              />
+            ) : (
+              <input
+                type="radio"
+                name="finalVote"
+                checked={pick === entry.playlistIndex}
+                onChange={() => setPick(entry.playlistIndex)}
+              />
+            )}{" "}
+            {describe(entry)}
+          </label>
+        ))
+      )}
+
+      <button className="btn" onClick={submit}>Submit Vote</button>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React, { useState, useEffect, useRef } from "react";
+
+/**
+ * ChatPanel
+ *
+ * The game room's chat, newest message at the bottom.
+ *
+ * Props:
+ *  - messages: [{ id, alias, text, at }] as kept by the server
+ *  - alias: the current player's alias (their own messages are shown as "You")
+ *  - onSend: called with the message text; resolves to the server's reply ({ ok })
+ */
+export default function ChatPanel({ messages = [], alias, onSend }) {
+  const [text, setText] = useState("");
+  const listRef = useRef(null);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages.length]);
+
+  const submit = async e => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    const reply = await onSend(text);
+    if (reply?.ok) setText("");
+  };
+
+  return (
+    <div style={{ marginTop: "1rem", border: "1px solid #ddd", borderRadius: "6px", background: "#fff" }}>
+      <h3 style={{ margin: 0, padding: "0.4rem 0.6rem", borderBottom: "1px solid #eee" }}>💬 Chat</h3>
+      <ul ref={listRef} style={{ listStyle: "none", margin: 0, padding: "0.4rem 0.6rem", maxHeight: "200px", overflowY: "auto" }}>
+        {messages.length === 0 && <li style={{ fontStyle: "italic", color: "#777" }}>No messages yet — say something about those cuts.</li>}
+        {messages.map(message => (
+          <li key={message.id} style={{ marginBottom: 4 }}>
+            <span style={{ fontSize: 11, color: "#999", marginRight: 6 }}>
+              {new Date(message.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+            </span>
+            <strong>{message.alias === alias ? "You" : message.alias}:</strong> {message.text}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={submit} style={{ display: "flex", gap: 4, padding: "0.4rem 0.6rem", borderTop: "1px solid #eee" }}>
+        <input
+          value={text}
+          onChange={e => setText(e.target.value)}
+          placeholder="Message the room"
+          maxLength={500}
+          className="input"
+          style={{ flex: 1 }}
+        />
+        <button className="btn" type="submit">Send</button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from "react";
+
+const PHASE_LABELS = {
+  submission: "Playlist submission closes in",
+  final_mix: "Voting closes in",
+};
+
+/**
+ * Countdown
+ *
+ * Live countdown to the current phase deadline.
+ *
+ * Props:
+ *  - deadline: { phase, endsAt } from the server, or null when the phase has no deadline
+ *  - clockOffset: server time minus local time in ms (corrects for clock skew)
+ */
+export default function Countdown({ deadline, clockOffset = 0 }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!deadline) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  if (!deadline) return null;
+
+  const remaining = Math.max(0, Math.ceil((deadline.endsAt - (now + clockOffset)) / 1000));
+  const minutes = Math.floor(remaining / 60);
+  const seconds = String(remaining % 60).padStart(2, "0");
+  const label = PHASE_LABELS[deadline.phase]
+    ?? (deadline.phase?.startsWith("elimination") ? "Round ends in" : "Time left");
+
+  return (
+    <p
+      className="countdown"
+      style={{
+        fontWeight: 600,
+        color: remaining <= 10 ? "#a00" : "#333",
+      }}
+    >
+      ⏳ {label} {minutes}:{seconds}
+    </p>
+  );
+}
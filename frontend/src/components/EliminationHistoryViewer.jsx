@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from "react";
+import SongLink from "./SongLink";
+import ReactionBar from "./ReactionBar";
 
 /**
  * EliminationHistoryViewer
@@ -6,8 +8,10 @@ import React, { useState, useEffect } from "react";
  * Props:
  *  - playlists: array of playlist objects (each: { alias, songs: [...], eliminationLog: [...] })
  *  - finalResults: optional array of winning song objects (to mark non-winners as "Eliminated in Final Vote")
+ *  - alias: the current player's alias (highlights their reactions)
+ *  - onReact: optional, called with (playlistIndex, songId, emoji) to react to an elimination; read-only without it
  */
-export default function EliminationHistoryViewer({ playlists, finalResults = [] }) {
+export default function EliminationHistoryViewer({ playlists, finalResults = [], alias, onReact }) {
   const [selectedPlaylistIndex, setSelectedPlaylistIndex] = useState(0);
 
   useEffect(() => {
@@ -29,17 +33,22 @@ export default function EliminationHistoryViewer({ playlists, finalResults = []
     ? selectedPlaylist.eliminationLog
     : [];
 
-  // Normalize elimination log into a map keyed by song title (for quick lookup)
+  // Normalize elimination log into a map keyed by song id (for quick lookup). Entries logged
+  // before ids were recorded fall back to the lower-cased title.
   const eliminationMap = {};
   eliminationLog.forEach(entry => {
     const songObj = entry.songInfo ?? entry.song ?? {};
-    const key = (songObj.title ?? songObj.name ?? "").trim().toLowerCase();
-    if (!key) return;
+    const key = entry.songId
+      ? `id:${entry.songId}`
+      : `title:${(songObj.title ?? songObj.name ?? "").trim().toLowerCase()}`;
+    if (key === "title:") return;
 
     eliminationMap[key] = {
       eliminatedRound: entry.eliminatedRound ?? entry.round ?? null,
       eliminatedBy: entry.eliminatedBy ?? null,
       comment: entry.comment ?? entry.commentText ?? "",
+      songId: entry.songId ?? null,
+      reactions: entry.reactions ?? {},
     };
   });
 
@@ -93,10 +102,8 @@ export default function EliminationHistoryViewer({ playlists, finalResults = []
           {songs.map((song, index) => {
             const title = song.title ?? song.name ?? "Untitled";
             const artist = song.artist ?? "";
-            const link = song.link ?? "";
 
-            const key = title.trim().toLowerCase();
-            const elimInfo = eliminationMap[key];
+            const elimInfo = eliminationMap[`id:${song.id}`] ?? eliminationMap[`title:${title.trim().toLowerCase()}`];
 
             // Determine elimination status
             let eliminated = false;
@@ -128,14 +135,7 @@ export default function EliminationHistoryViewer({ playlists, finalResults = []
                 <div>
                   <strong>{title}</strong>
                   {artist ? <span> — {artist}</span> : null}
-                  {link && (
-                    <>
-                      {" "}
-                      <a href={link} target="_blank" rel="noopener noreferrer">
-                        Listen
-                      </a>
-                    </>
-                  )}
+                  <SongLink song={song} />
                 </div>
 
                 {eliminated ? (
@@ -175,6 +175,15 @@ export default function EliminationHistoryViewer({ playlists, finalResults = []
                     </blockquote>
                   </div>
                 )}
+
+                {/* Reactions need the log entry's song id, which older games don't have */}
+                {elimInfo?.songId && (
+                  <ReactionBar
+                    reactions={elimInfo.reactions}
+                    alias={alias}
+                    onReact={onReact ? emoji => onReact(selectedPlaylistIndex, elimInfo.songId, emoji) : undefined}
+                  />
+                )}
               </li>
             );
           })}
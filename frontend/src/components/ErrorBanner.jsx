@@ -0,0 +1,41 @@
+import React from "react";
+import { describeField, errorHint } from "../protocol";
+
+/**
+ * ErrorBanner
+ *
+ * Shows why the server turned down the last request.
+ *
+ * Props:
+ *  - error: { code, message, field } from the server, or null to show nothing
+ *  - onDismiss: called when the player closes the banner
+ */
+export default function ErrorBanner({ error, onDismiss }) {
+  if (!error) return null;
+
+  const where = describeField(error.field);
+  const hint = errorHint(error);
+
+  return (
+    <div
+      role="alert"
+      style={{
+        border: "1px solid #e0a0a0",
+        background: "#fff3f3",
+        color: "#900",
+        borderRadius: "6px",
+        padding: "0.5rem 0.75rem",
+        display: "flex",
+        alignItems: "flex-start",
+        gap: 8,
+      }}
+    >
+      <div style={{ flex: 1 }}>
+        <strong>{where ? `${where}: ` : ""}</strong>
+        {error.message}
+        {hint && <div style={{ fontSize: 12, marginTop: 4, color: "#555" }}>{hint}</div>}
+      </div>
+      <button className="btn" onClick={onDismiss} aria-label="Dismiss">✕</button>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+
+const STATUS_LABELS = {
+  finished: "finished",
+  ended: "ended early",
+  abandoned: "abandoned",
+};
+
+/**
+ * ExpiryNotice
+ *
+ * Tells the room the server is about to clear the game out, or already has.
+ *
+ * Props:
+ *  - notice: from 'gameExpiring' ({ expiresAt, archived, idle }) or 'gameExpired'
+ *    ({ expired: true, archived, status }), or null to show nothing
+ *  - clockOffset: server time minus local time in ms
+ *  - onDismiss: called when the player closes the notice
+ */
+export default function ExpiryNotice({ notice, clockOffset = 0, onDismiss }) {
+  if (!notice) return null;
+
+  let text;
+  if (notice.expired) {
+    text = notice.archived
+      ? `This game has been archived (${STATUS_LABELS[notice.status] || notice.status}). Results and exports still work from the links below.`
+      : "This game was cleared from the server.";
+  } else {
+    const at = new Date(notice.expiresAt - clockOffset).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const what = notice.archived ? "moved to the read-only archive" : "removed";
+    text = notice.idle
+      ? `Nobody has played for a while: this game will be ${what} at ${at} unless someone makes a move.`
+      : `This game will be ${what} at ${at}.`;
+  }
+
+  return (
+    <div
+      role="status"
+      style={{
+        border: "1px solid #e0c080",
+        background: "#fffaf0",
+        color: "#7a5200",
+        borderRadius: "6px",
+        padding: "0.5rem 0.75rem",
+        display: "flex",
+        alignItems: "flex-start",
+        gap: 8,
+      }}
+    >
+      <div style={{ flex: 1 }}>⏳ {text}</div>
+      <button className="btn" onClick={onDismiss} aria-label="Dismiss">✕</button>
+    </div>
+  );
+}
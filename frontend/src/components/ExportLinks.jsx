@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { BACKEND_URL } from "../config";
+
+/**
+ * ExportLinks
+ *
+ * Download links for a finished game: the final mix and every submitted playlist as
+ * M3U / XSPF, and the full elimination history as CSV / JSON.
+ *
+ * Props:
+ *  - gameId: the finished game
+ *  - password: the game password (asked for again when we don't have it, e.g. after a page reload)
+ *  - playlists: submitted playlists ({ alias, ... }), in playlist-index order
+ *  - hasFinalMix: whether the game reached the final mix
+ */
+export default function ExportLinks({ gameId, password = "", playlists = [], hasFinalMix = false }) {
+  const [typedPassword, setTypedPassword] = useState(password);
+
+  const url = path =>
+    `${BACKEND_URL}/api/games/${encodeURIComponent(gameId)}/export/${path}?password=${encodeURIComponent(typedPassword)}`;
+
+  const link = (path, label) => (
+    <a href={url(path)} download style={{ marginRight: 8 }}>{label}</a>
+  );
+
+  return (
+    <div className="export-links" style={{ margin: "1rem auto", maxWidth: 520, textAlign: "left" }}>
+      <h3>📥 Download</h3>
+
+      {!password && (
+        <label style={{ display: "block", marginBottom: 4 }}>
+          Game password:{" "}
+          <input
+            type="password"
+            value={typedPassword}
+            onChange={e => setTypedPassword(e.target.value)}
+            className="input"
+          />
+        </label>
+      )}
+
+      {hasFinalMix && (
+        <p>Final mix: {link("final-mix.m3u", "M3U")}{link("final-mix.xspf", "XSPF")}</p>
+      )}
+
+      {playlists.map((pl, index) => (
+        <p key={pl.alias}>
+          {pl.alias}'s playlist: {link(`playlists/${index}.m3u`, "M3U")}{link(`playlists/${index}.xspf`, "XSPF")}
+        </p>
+      ))}
+
+      <p>Elimination history: {link("history.csv", "CSV")}{link("history.json", "JSON")}</p>
+    </div>
+  );
+}
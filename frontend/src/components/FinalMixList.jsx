@@ -0,0 +1,33 @@
+import React from "react";
+import SongLink from "./SongLink";
+import ReactionBar from "./ReactionBar";
+
+/**
+ * FinalMixList
+ *
+ * The songs that made the final mix, each with its emoji reactions.
+ *
+ * Props:
+ *  - entries: final-mix entries ({ playlistIndex, originAlias, song, reactions })
+ *  - alias: the current player's alias
+ *  - onReact: called with (playlistIndex, emoji); omit for a read-only list
+ */
+export default function FinalMixList({ entries = [], alias, onReact }) {
+  if (entries.length === 0) return null;
+
+  return (
+    <ul style={{ listStyle: "none", padding: 0 }}>
+      {entries.map(entry => (
+        <li key={entry.playlistIndex} style={{ borderBottom: "1px solid #eee", padding: "0.5rem" }}>
+          <strong>From {entry.originAlias}'s playlist</strong>: {entry.song.title} by {entry.song.artist}
+          <SongLink song={entry.song} />
+          <ReactionBar
+            reactions={entry.reactions}
+            alias={alias}
+            onReact={onReact ? emoji => onReact(entry.playlistIndex, emoji) : undefined}
+          />
+        </li>
+      ))}
+    </ul>
+  );
+}
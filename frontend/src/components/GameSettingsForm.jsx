@@ -0,0 +1,280 @@
+import React from "react";
+
+const RULE_FIELDS = [
+  { key: "playlistLength", label: "Songs per playlist", min: 2, max: 20 },
+  { key: "minPlayers", label: "Minimum players", min: 2, max: 30 },
+  { key: "maxPlayers", label: "Maximum players", min: 2, max: 30 },
+  { key: "eliminationsPerRound", label: "Songs cut per round", min: 1, max: 19 },
+  { key: "commentMaxLength", label: "Max commentary length", min: 1, max: 1000 },
+];
+
+// Mirrors DEFAULT_POINTS in backend/scoring.js
+const POINT_FIELDS = [
+  { key: "survival", label: "Each song that survives a round (to its owner)" },
+  { key: "backedCut", label: "Each cut from a playlist whose last song gets votes" },
+  { key: "perVote", label: "Each final vote (to the song's owner)" },
+  { key: "winner", label: "Winning song (to its owner)" },
+  { key: "correctPrediction", label: "Predicting the winner" },
+];
+
+const DEADLINE_FIELDS = [
+  { key: "submission", label: "Playlist submission" },
+  { key: "elimination", label: "Each elimination round" },
+  { key: "voting", label: "Final voting" },
+];
+
+/**
+ * GameSettingsForm
+ *
+ * Settings the host picks when creating a game. The server validates and clamps everything.
+ *
+ * Props:
+ *  - settings: { visibility, name, playlistLength, minPlayers, maxPlayers, commentaryRequired, commentMaxLength, linkRequired, duplicatePolicy,
+ *    eliminationsPerRound, assignmentStrategy, assignmentSeed, votingMethod, tieBreak, maxRunoffs, allowSelfVote, predictions,
+ *    deadlines: { submission, elimination, voting } (seconds or null), timeoutAction,
+ *    spectatorsCanVote, departGraceSeconds, points: { survival, backedCut, perVote, winner, correctPrediction } }
+ *  - onChange: called with the updated settings object
+ */
+export default function GameSettingsForm({ settings, onChange }) {
+  const setDeadline = (key, minutes) => {
+    const seconds = minutes === "" ? null : Math.round(Number(minutes) * 60);
+    onChange({ ...settings, deadlines: { ...settings.deadlines, [key]: seconds } });
+  };
+
+  return (
+    <>
+      <fieldset className="border p-2 rounded" style={{ marginTop: 8 }}>
+        <legend>Lobby listing</legend>
+
+        <label style={{ display: "block", marginBottom: 4 }}>
+          <input
+            type="checkbox"
+            checked={settings.visibility === "public"}
+            onChange={e => onChange({ ...settings, visibility: e.target.checked ? "public" : "private" })}
+          />{" "}
+          List this game in the public lobby
+        </label>
+
+        {settings.visibility === "public" && (
+          <label style={{ display: "block" }}>
+            Name in the lobby:{" "}
+            <input
+              value={settings.name}
+              onChange={e => onChange({ ...settings, name: e.target.value })}
+              placeholder="the game ID"
+              maxLength={60}
+              className="input"
+            />
+          </label>
+        )}
+      </fieldset>
+
+      <fieldset className="border p-2 rounded" style={{ marginTop: 8 }}>
+        <legend>Rules</legend>
+
+        {RULE_FIELDS.map(({ key, label, min, max }) => (
+          <label key={key} style={{ display: "block", marginBottom: 4 }}>
+            {label}:{" "}
+            <input
+              type="number"
+              min={min}
+              max={max}
+              value={settings[key]}
+              onChange={e => onChange({ ...settings, [key]: Number(e.target.value) })}
+              className="input"
+              style={{ width: 80 }}
+            />
+          </label>
+        ))}
+
+        <label style={{ display: "block" }}>
+          <input
+            type="checkbox"
+            checked={!!settings.commentaryRequired}
+            onChange={e => onChange({ ...settings, commentaryRequired: e.target.checked })}
+          />{" "}
+          Commentary required with every elimination
+        </label>
+
+        <label style={{ display: "block" }}>
+          <input
+            type="checkbox"
+            checked={!!settings.linkRequired}
+            onChange={e => onChange({ ...settings, linkRequired: e.target.checked })}
+          />{" "}
+          Every song needs a link
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          Songs already in the game:{" "}
+          <select
+            value={settings.duplicatePolicy}
+            onChange={e => onChange({ ...settings, duplicatePolicy: e.target.value })}
+          >
+            <option value="reject">Not allowed</option>
+            <option value="warn">Allowed, with a warning</option>
+            <option value="allow">Allowed</option>
+          </select>
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          Who eliminates from whose playlist:{" "}
+          <select
+            value={settings.assignmentStrategy}
+            onChange={e => onChange({ ...settings, assignmentStrategy: e.target.value })}
+          >
+            <option value="rotation">Rotation (shift one seat each round)</option>
+            <option value="random">Random</option>
+            <option value="balanced">Balanced (spread eliminators evenly)</option>
+          </select>
+        </label>
+
+        {settings.assignmentStrategy === "random" && (
+          <label style={{ display: "block", marginTop: 4 }}>
+            Seed (optional, same seed = same schedule):{" "}
+            <input
+              type="text"
+              maxLength={64}
+              value={settings.assignmentSeed || ""}
+              onChange={e => onChange({ ...settings, assignmentSeed: e.target.value || null })}
+              className="input"
+              style={{ width: 160 }}
+            />
+          </label>
+        )}
+      </fieldset>
+
+      <fieldset className="border p-2 rounded" style={{ marginTop: 8 }}>
+        <legend>Final vote</legend>
+
+        <label style={{ display: "block" }}>
+          Voting method:{" "}
+          <select
+            value={settings.votingMethod}
+            onChange={e => onChange({ ...settings, votingMethod: e.target.value })}
+          >
+            <option value="plurality">Plurality (one pick, most votes wins)</option>
+            <option value="ranked">Ranked choice (instant runoff)</option>
+            <option value="borda">Borda count (rank everything, points per place)</option>
+            <option value="approval">Approval (tick every song you like)</option>
+          </select>
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          On a tie for first:{" "}
+          <select
+            value={settings.tieBreak}
+            onChange={e => onChange({ ...settings, tieBreak: e.target.value })}
+          >
+            <option value="runoff">Hold a runoff vote among the tied songs</option>
+            <option value="shared">Share the win</option>
+          </select>
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          <input
+            type="checkbox"
+            checked={!!settings.allowSelfVote}
+            onChange={e => onChange({ ...settings, allowSelfVote: e.target.checked })}
+          />{" "}
+          Players may vote for the song from their own playlist
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          <input
+            type="checkbox"
+            checked={!!settings.predictions}
+            onChange={e => onChange({ ...settings, predictions: e.target.checked })}
+          />{" "}
+          Players predict the winner before voting
+        </label>
+
+        {settings.tieBreak === "runoff" && (
+          <label style={{ display: "block", marginTop: 4 }}>
+            Runoff votes before the win is shared:{" "}
+            <input
+              type="number"
+              min={1}
+              max={5}
+              value={settings.maxRunoffs}
+              onChange={e => onChange({ ...settings, maxRunoffs: Number(e.target.value) })}
+              className="input"
+              style={{ width: 80 }}
+            />
+          </label>
+        )}
+      </fieldset>
+
+      <fieldset className="border p-2 rounded" style={{ marginTop: 8 }}>
+        <legend>Points</legend>
+
+        {POINT_FIELDS.map(({ key, label }) => (
+          <label key={key} style={{ display: "block", marginBottom: 4 }}>
+            {label}:{" "}
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={settings.points[key]}
+              onChange={e => onChange({ ...settings, points: { ...settings.points, [key]: Number(e.target.value) } })}
+              className="input"
+              style={{ width: 80 }}
+            />
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="border p-2 rounded" style={{ marginTop: 8 }}>
+        <legend>Time limits (minutes, blank = no limit)</legend>
+
+        {DEADLINE_FIELDS.map(({ key, label }) => (
+          <label key={key} style={{ display: "block", marginBottom: 4 }}>
+            {label}:{" "}
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={settings.deadlines[key] ? settings.deadlines[key] / 60 : ""}
+              onChange={e => setDeadline(key, e.target.value)}
+              className="input"
+              style={{ width: 80 }}
+            />
+          </label>
+        ))}
+
+        <label style={{ display: "block" }}>
+          When a round times out:{" "}
+          <select
+            value={settings.timeoutAction}
+            onChange={e => onChange({ ...settings, timeoutAction: e.target.value })}
+          >
+            <option value="random">Eliminate a random song for them</option>
+            <option value="skip">Skip them this round</option>
+          </select>
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          <input
+            type="checkbox"
+            checked={!!settings.spectatorsCanVote}
+            onChange={e => onChange({ ...settings, spectatorsCanVote: e.target.checked })}
+          />{" "}
+          Spectators can vote in the final mix
+        </label>
+
+        <label style={{ display: "block", marginTop: 4 }}>
+          Minutes a disconnected player has to come back before the game goes on without them (0 = never):{" "}
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={settings.departGraceSeconds / 60}
+            onChange={e => onChange({ ...settings, departGraceSeconds: Math.round(Number(e.target.value) * 60) })}
+            className="input"
+            style={{ width: 80 }}
+          />
+        </label>
+      </fieldset>
+    </>
+  );
+}
@@ -0,0 +1,46 @@
+import React from "react";
+
+/**
+ * GameStandings
+ *
+ * Everyone's points in this game, best first, with where they came from: songs surviving
+ * rounds, cuts the group backed, final votes, the win and a correct prediction.
+ *
+ * Props:
+ *  - standings: [{ alias, points, survival, backedCuts, votes, winner, predicted }] from the server
+ *  - alias: the current player's alias, to highlight their row
+ *  - final: whether these are the final standings (once the vote is counted)
+ */
+export default function GameStandings({ standings = [], alias, final = false }) {
+  if (standings.length === 0) return null;
+
+  return (
+    <div style={{ margin: "1rem auto", maxWidth: 520, textAlign: "left" }}>
+      <h3>{final ? "🏁 Final standings" : "📈 Standings so far"}</h3>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid #ccc" }}>
+            <th style={{ textAlign: "left" }}>#</th>
+            <th style={{ textAlign: "left" }}>Player</th>
+            <th>Points</th>
+            <th title="Song-rounds survived">Survived</th>
+            <th title="Cuts from playlists whose last song got votes">Backed cuts</th>
+            <th>Votes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((row, i) => (
+            <tr key={row.alias} style={{ borderBottom: "1px solid #eee", fontWeight: row.alias === alias ? 600 : 400 }}>
+              <td>{i + 1}</td>
+              <td>{row.alias}{row.winner && " 🏆"}{row.predicted && " 🔮"}</td>
+              <td style={{ textAlign: "center" }}>{row.points}</td>
+              <td style={{ textAlign: "center" }}>{row.survival}</td>
+              <td style={{ textAlign: "center" }}>{row.backedCuts}</td>
+              <td style={{ textAlign: "center" }}>{row.votes}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
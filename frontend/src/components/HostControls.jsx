@@ -0,0 +1,71 @@
+import React from "react";
+
+/**
+ * HostControls
+ *
+ * In-game controls only the host sees.
+ *
+ * Props:
+ *  - canSkip: whether the current phase has stalled players that can be skipped
+ *  - onSkip: skip every player who hasn't submitted this round
+ *  - onEndGame: end the game for everyone
+ *  - players: aliases the host may mark as departed (still in the game, not the host)
+ *  - onMarkDeparted: called with an alias; the game continues without that player
+ *  - onCloseVoting: close the final vote and count the ballots cast so far (only passed while voting is open)
+ */
+export default function HostControls({ canSkip = false, onSkip, onEndGame, players = [], onMarkDeparted, onCloseVoting }) {
+  return (
+    <div
+      className="host-controls"
+      style={{
+        marginTop: "1rem",
+        padding: "0.5rem",
+        border: "1px dashed #999",
+        borderRadius: "6px",
+      }}
+    >
+      <strong>👑 Host controls</strong>
+      <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+        {canSkip && (
+          <button
+            className="btn"
+            onClick={() => {
+              if (window.confirm("Skip everyone who hasn't eliminated yet this round?")) onSkip();
+            }}
+          >
+            Skip Waiting Players
+          </button>
+        )}
+        {onCloseVoting && (
+          <button
+            className="btn"
+            onClick={() => {
+              if (window.confirm("Close voting now and count the votes cast so far?")) onCloseVoting();
+            }}
+          >
+            Close Voting
+          </button>
+        )}
+        <button
+          className="btn"
+          onClick={() => {
+            if (window.confirm("End the game for everyone?")) onEndGame();
+          }}
+        >
+          End Game
+        </button>
+      </div>
+
+      {players.length > 0 && onMarkDeparted && (
+        <div style={{ marginTop: 6 }}>
+          Player gone for good?{" "}
+          {players.map(player => (
+            <button key={player} className="btn" onClick={() => onMarkDeparted(player)} style={{ marginRight: 4 }}>
+              {player} left
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
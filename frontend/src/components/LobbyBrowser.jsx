@@ -0,0 +1,64 @@
+import React from "react";
+
+const PHASE_LABELS = {
+  lobby: "Waiting to start",
+  submission: "Picking songs",
+  final_mix: "Final vote",
+};
+
+function phaseLabel(gamePhase) {
+  if (gamePhase?.startsWith("elimination")) return `Round ${gamePhase.split("_").pop()}`;
+  return PHASE_LABELS[gamePhase] || gamePhase;
+}
+
+/**
+ * LobbyBrowser
+ *
+ * Public games, kept up to date by the server: name, host, how full each one is, what it's
+ * doing and whether it needs a password. Games still in their lobby can be joined with a click;
+ * the rest can be watched.
+ *
+ * Props:
+ *  - games: lobby entries ({ gameId, name, host, players, maxPlayers, spectators, full, gamePhase,
+ *    joinable, passwordProtected, season }), or null while loading
+ *  - onJoin: called with the entry to join as a player
+ *  - onWatch: called with the entry to join as a spectator
+ */
+export default function LobbyBrowser({ games, onJoin, onWatch }) {
+  return (
+    <div style={{ marginTop: "1rem", border: "1px solid #ddd", borderRadius: "6px", background: "#fff", textAlign: "left" }}>
+      <h3 style={{ margin: 0, padding: "0.4rem 0.6rem", borderBottom: "1px solid #eee" }}>🌐 Public games</h3>
+      {games === null && <p style={{ padding: "0 0.6rem", fontStyle: "italic" }}>Loading...</p>}
+      {games?.length === 0 && (
+        <p style={{ padding: "0 0.6rem", fontStyle: "italic", color: "#777" }}>No public games right now — create one and list it.</p>
+      )}
+      <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+        {(games || []).map(game => (
+          <li key={game.gameId} style={{ display: "flex", alignItems: "center", gap: 8, padding: "0.4rem 0.6rem", borderBottom: "1px solid #f3f3f3" }}>
+            <div style={{ flex: 1 }}>
+              <strong>{game.name}</strong>
+              {game.passwordProtected && <span title="Needs a password"> 🔒</span>}
+              {game.season && <span title="Season game — only its roster can play"> 🏅</span>}
+              <div style={{ fontSize: 12, color: "#666" }}>
+                Host {game.host} · {game.players}/{game.maxPlayers} players{game.full ? " (full)" : ""}
+                {game.spectators > 0 && ` · ${game.spectators} watching`} · {phaseLabel(game.gamePhase)}
+              </div>
+              <div style={{ height: 4, background: "#eee", borderRadius: 2, marginTop: 3 }}>
+                <div
+                  style={{
+                    width: `${Math.min(100, (game.players / game.maxPlayers) * 100)}%`,
+                    height: "100%",
+                    background: game.full ? "#d88" : "#8c8",
+                    borderRadius: 2,
+                  }}
+                />
+              </div>
+            </div>
+            {game.joinable && <button className="btn" onClick={() => onJoin(game)}>Join</button>}
+            <button className="btn" onClick={() => onWatch(game)}>Watch</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
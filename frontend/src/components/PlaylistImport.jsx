@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { BACKEND_URL } from "../config";
+
+const FORMATS = [
+  { value: "auto", label: "Detect automatically" },
+  { value: "m3u", label: "M3U" },
+  { value: "xspf", label: "XSPF" },
+  { value: "csv", label: "CSV" },
+  { value: "lines", label: "Artist - Title <url> lines" },
+];
+
+/**
+ * PlaylistImport
+ *
+ * Paste or upload an existing playlist (M3U, XSPF, CSV or "Artist - Title <url>" lines).
+ * The server parses it the same way submitPlaylist would and the songs land in the
+ * playlist form, where they can still be edited before submitting.
+ *
+ * Props:
+ *  - playlistLength: songs the game wants; extra songs are dropped, missing ones stay blank
+ *  - onImport: called with [{ artist, title, link }] (at most playlistLength songs); links come back
+ *    canonical from the server, and links it would reject are flagged in the status line
+ */
+export default function PlaylistImport({ playlistLength, onImport }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState("");
+  const [format, setFormat] = useState("auto");
+  const [status, setStatus] = useState("");
+
+  const handleFile = e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then(setText);
+  };
+
+  const handleImport = async () => {
+    if (!text.trim()) return setStatus("Paste a playlist or choose a file first.");
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/playlists/parse`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text, format }),
+      });
+      const data = await res.json();
+      if (!res.ok) return setStatus(data.error || "Couldn't read that playlist.");
+      if (data.songs.length === 0) return setStatus("No songs found — check the format.");
+
+      const songs = data.songs.slice(0, playlistLength);
+      onImport(songs.map(({ artist, title, link }) => ({ artist, title, link })));
+      const extra = data.songs.length - playlistLength;
+      const badLinks = songs.map((song, i) => song.linkError && `song ${i + 1}: ${song.linkError}`).filter(Boolean);
+      setStatus(
+        `Found ${data.songs.length} song(s) as ${data.format.toUpperCase()}.` +
+        (extra > 0 ? ` Only the first ${playlistLength} were used.` : "") +
+        (extra < 0 ? ` Fill in the remaining ${-extra} below.` : "") +
+        (badLinks.length ? ` Fix these links first — ${badLinks.join("; ")}.` : "") +
+        " Check them below before submitting."
+      );
+    } catch (err) {
+      console.error("Playlist import failed", err);
+      setStatus("Couldn't reach the server to read that playlist.");
+    }
+  };
+
+  if (!open) {
+    return (
+      <button className="btn mb-2" onClick={() => setOpen(true)}>
+        📋 Import a playlist
+      </button>
+    );
+  }
+
+  return (
+    <div className="border p-2 mb-2 rounded">
+      <textarea
+        value={text}
+        onChange={e => setText(e.target.value)}
+        placeholder={"Paste an M3U, XSPF or CSV playlist, or one song per line:\nArtist - Title <https://...>"}
+        rows={6}
+        className="input"
+        style={{ width: "100%" }}
+      />
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 4 }}>
+        <input type="file" accept=".m3u,.m3u8,.xspf,.csv,.txt" onChange={handleFile} />
+        <select value={format} onChange={e => setFormat(e.target.value)}>
+          {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+        </select>
+        <button className="btn" onClick={handleImport}>Load Songs</button>
+        <button className="btn" onClick={() => setOpen(false)}>Close</button>
+      </div>
+      {status && <p style={{ marginTop: 4 }}>{status}</p>}
+    </div>
+  );
+}
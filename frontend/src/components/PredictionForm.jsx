@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+
+/**
+ * PredictionForm
+ *
+ * The prediction side game: before voting, privately pick the final-mix song you think will win.
+ * Once locked in it can't be changed; everyone's picks are revealed with the results.
+ *
+ * Props:
+ *  - entries: final-mix entries ({ playlistIndex, originAlias, song })
+ *  - prediction: the playlist index you predicted, or null
+ *  - predictionsIn: how many players have locked in a prediction
+ *  - closed: whether predictions are closed for you (you've voted, or a runoff is on)
+ *  - onPredict: called with a playlist index
+ */
+export default function PredictionForm({ entries = [], prediction = null, predictionsIn = 0, closed = false, onPredict }) {
+  const [pick, setPick] = useState(null);
+  const predicted = entries.find(entry => entry.playlistIndex === prediction);
+
+  if (predicted) {
+    return (
+      <p style={{ background: "#f4f0ff", padding: "0.4rem 0.6rem", borderRadius: "6px" }}>
+        🔮 Your prediction is locked in: “{predicted.song.title}” by {predicted.song.artist}.
+        {" "}({predictionsIn} prediction{predictionsIn === 1 ? "" : "s"} in — all revealed with the results)
+      </p>
+    );
+  }
+  if (closed) return null;
+
+  return (
+    <div style={{ background: "#f4f0ff", padding: "0.5rem", borderRadius: "6px", margin: "0.5rem 0", textAlign: "left" }}>
+      <h3 style={{ marginTop: 0 }}>🔮 Predict the winner</h3>
+      <p style={{ fontSize: 12, color: "#555", marginTop: 0 }}>
+        Which song will the group pick? Your guess stays secret and can't be changed. Make it before you vote.
+      </p>
+      {entries.map(entry => (
+        <label key={entry.playlistIndex} style={{ display: "block" }}>
+          <input
+            type="radio"
+            name="prediction"
+            checked={pick === entry.playlistIndex}
+            onChange={() => setPick(entry.playlistIndex)}
+          />{" "}
+          “{entry.song.title}” by {entry.song.artist}
+        </label>
+      ))}
+      <button className="btn" disabled={pick === null} onClick={() => onPredict(pick)} style={{ marginTop: 4 }}>
+        Lock in prediction
+      </button>
+    </div>
+  );
+}
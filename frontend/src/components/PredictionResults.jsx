@@ -0,0 +1,35 @@
+import React from "react";
+
+/**
+ * PredictionResults
+ *
+ * Who predicted what, revealed once the vote is counted — with bragging rights for those who called it.
+ *
+ * Props:
+ *  - predictions: [{ alias, playlistIndex, correct }] from finalResults
+ *  - finalMix: final-mix entries, to name the songs
+ *  - alias: the current player's alias
+ */
+export default function PredictionResults({ predictions = [], finalMix = [], alias }) {
+  if (predictions.length === 0) return null;
+  const byIndex = Object.fromEntries(finalMix.map(entry => [entry.playlistIndex, entry]));
+  const callers = predictions.filter(p => p.correct).map(p => (p.alias === alias ? "You" : p.alias));
+
+  return (
+    <div style={{ margin: "1rem auto", maxWidth: 520, textAlign: "left" }}>
+      <h3>🔮 Predictions</h3>
+      <p>
+        {callers.length === 0
+          ? "Nobody saw that coming!"
+          : `${callers.join(", ")} called it — bragging rights earned.`}
+      </p>
+      <ul style={{ listStyle: "none", padding: 0 }}>
+        {predictions.map(({ alias: predictor, playlistIndex, correct }) => (
+          <li key={predictor} style={{ fontWeight: predictor === alias ? 600 : 400 }}>
+            {correct ? "✅" : "❌"} {predictor}: “{byIndex[playlistIndex]?.song?.title ?? "?"}”
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+
+/**
+ * ProfilePanel
+ *
+ * An optional profile that follows the player from game to game, so their finished games add
+ * up to lifetime stats. Without one, games work exactly as before.
+ *
+ * Props:
+ *  - profile: { id, name } of the profile on this device, or null
+ *  - onCreate: called with a name; resolves to the server's reply ({ ok })
+ *  - onForget: drops the profile from this device
+ *  - onShowStats: opens the stats page
+ */
+export default function ProfilePanel({ profile, onCreate, onForget, onShowStats }) {
+  const [name, setName] = useState("");
+
+  const submit = async e => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const reply = await onCreate(name);
+    if (reply?.ok) setName("");
+  };
+
+  if (profile) {
+    return (
+      <div style={{ margin: "0.5rem 0", padding: "0.5rem", border: "1px solid #ddd", borderRadius: "6px", background: "#fff" }}>
+        🪪 Playing as <strong>{profile.name}</strong> — your finished games count towards your stats.
+        <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+          <button className="btn" onClick={onShowStats}>📊 View stats</button>
+          <button
+            className="btn"
+            onClick={() => {
+              if (window.confirm("Forget this profile on this device? You won't be able to use it again here.")) onForget();
+            }}
+          >
+            Forget profile
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", gap: 4, margin: "0.5rem 0" }}>
+      <input
+        value={name}
+        onChange={e => setName(e.target.value)}
+        placeholder="Profile name (optional)"
+        maxLength={40}
+        className="input"
+        style={{ flex: 1 }}
+      />
+      <button className="btn" type="submit">Create profile</button>
+    </form>
+  );
+}
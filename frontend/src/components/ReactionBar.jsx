@@ -0,0 +1,47 @@
+import React from "react";
+
+// Mirrors REACTIONS in backend/chat.js; the server rejects anything else
+const REACTIONS = ["😂", "🔥", "😱", "💀", "👏", "😢"];
+
+/**
+ * ReactionBar
+ *
+ * Emoji reactions with a count each; clicking one adds yours or takes it back.
+ *
+ * Props:
+ *  - reactions: { [emoji]: [alias, ...] } from the server (may be missing)
+ *  - alias: the current player's alias, to highlight their own reactions
+ *  - onReact: called with an emoji; without it the bar is read-only and only shows used emojis
+ */
+export default function ReactionBar({ reactions = {}, alias, onReact }) {
+  const shown = onReact ? REACTIONS : REACTIONS.filter(emoji => reactions[emoji]?.length);
+  if (shown.length === 0) return null;
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 }}>
+      {shown.map(emoji => {
+        const who = reactions[emoji] || [];
+        const mine = who.includes(alias);
+        return (
+          <button
+            key={emoji}
+            type="button"
+            disabled={!onReact}
+            onClick={() => onReact(emoji)}
+            title={who.length ? who.join(", ") : "React"}
+            style={{
+              border: `1px solid ${mine ? "#6a8fd8" : "#ddd"}`,
+              background: mine ? "#eaf0ff" : "#fafafa",
+              borderRadius: "12px",
+              padding: "0 8px",
+              fontSize: 14,
+              cursor: onReact ? "pointer" : "default",
+            }}
+          >
+            {emoji}{who.length > 0 && <span style={{ fontSize: 12, marginLeft: 4 }}>{who.length}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
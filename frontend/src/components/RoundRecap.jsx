@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from "react";
+import ReactionBar from "./ReactionBar";
+
+const PLAYBACK_MS = 4000;
+
+/**
+ * Every eliminationLog entry across all playlists, grouped by round (oldest first).
+ */
+function buildRounds(playlists) {
+  const byRound = {};
+  playlists.forEach((pl, playlistIndex) => {
+    (pl.eliminationLog || []).forEach(entry => {
+      const round = entry.eliminatedRound ?? entry.round ?? 0;
+      (byRound[round] = byRound[round] || []).push({ ...entry, owner: pl.alias, playlistIndex });
+    });
+  });
+  return Object.keys(byRound)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(round => ({ round, cuts: byRound[round] }));
+}
+
+/**
+ * RoundRecap
+ *
+ * What happened in each round across the whole game — who cut which song from whose playlist,
+ * and what they said about it. Read it as a timeline, or play it back round by round like a
+ * story that ends with the final vote and the winner.
+ *
+ * Props:
+ *  - playlists: playlist objects ({ alias, songs, eliminationLog })
+ *  - finalMix: final-mix entries ({ playlistIndex, originAlias, song }) once voting has started
+ *  - finalResults: { results, tied } once the vote is counted
+ */
+export default function RoundRecap({ playlists = [], finalMix = [], finalResults = null }) {
+  const [mode, setMode] = useState("timeline"); // 'timeline' | 'story'
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const rounds = buildRounds(playlists);
+  const hasFinal = finalMix.length > 0;
+  const stepCount = rounds.length + (hasFinal ? 1 : 0);
+  const lastStep = Math.max(0, stepCount - 1);
+
+  // Auto-advance while playing; stop at the end of the story
+  useEffect(() => {
+    if (!playing) return;
+    if (step >= lastStep) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setStep(s => s + 1), PLAYBACK_MS);
+    return () => clearTimeout(timer);
+  }, [playing, step, lastStep]);
+
+  if (stepCount === 0) return null;
+
+  const startStory = () => {
+    setMode("story");
+    setStep(0);
+    setPlaying(true);
+  };
+
+  const renderRound = ({ round, cuts }) => (
+    <div key={round} style={{ marginBottom: "0.8rem" }}>
+      <h4 style={{ margin: "0.3rem 0" }}>Round {round || "?"}</h4>
+      <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+        {cuts.map((cut, i) => (
+          <li key={cut.songId || i} style={{ borderLeft: "3px solid #e0a0a0", padding: "0.3rem 0.6rem", marginBottom: 6 }}>
+            ✂️ <strong>{cut.eliminatedBy ?? "Someone"}</strong> cut{" "}
+            “{cut.songInfo?.title ?? "Untitled"}”{cut.songInfo?.artist ? ` by ${cut.songInfo.artist}` : ""}{" "}
+            from <strong>{cut.owner}</strong>'s playlist
+            {cut.auto && <em style={{ color: "#777" }}> (out of time — picked at random)</em>}
+            {cut.comment && (
+              <blockquote style={{ margin: "4px 0 0", fontStyle: "italic", color: "#555" }}>“{cut.comment}”</blockquote>
+            )}
+            <ReactionBar reactions={cut.reactions} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  const renderFinal = () => {
+    const winners = new Set((finalResults?.results || []).map(r => r.playlistIndex));
+    return (
+      <div key="final" style={{ marginBottom: "0.8rem" }}>
+        <h4 style={{ margin: "0.3rem 0" }}>🎧 The final vote</h4>
+        <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+          {finalMix.map(entry => (
+            <li key={entry.playlistIndex} style={{ marginBottom: 4, fontWeight: winners.has(entry.playlistIndex) ? 600 : 400 }}>
+              {winners.has(entry.playlistIndex) ? "🏆 " : "• "}
+              “{entry.song.title}” by {entry.song.artist} — from {entry.originAlias}'s playlist
+            </li>
+          ))}
+        </ul>
+        {!finalResults && <p style={{ fontStyle: "italic" }}>Votes are still coming in...</p>}
+        {finalResults?.tied && <p>It ended in a shared win!</p>}
+      </div>
+    );
+  };
+
+  const renderStep = index => (index < rounds.length ? renderRound(rounds[index]) : renderFinal());
+
+  return (
+    <details style={{ marginTop: "1rem", border: "1px solid #ddd", borderRadius: "6px", padding: "0.5rem", background: "#fff" }}>
+      <summary style={{ cursor: "pointer", fontWeight: 600 }}>📜 Round-by-round recap</summary>
+
+      <div style={{ display: "flex", gap: 4, margin: "0.5rem 0" }}>
+        <button className="btn" disabled={mode === "timeline"} onClick={() => { setMode("timeline"); setPlaying(false); }}>
+          Whole game
+        </button>
+        <button className="btn" onClick={startStory}>▶ Play it back</button>
+      </div>
+
+      {mode === "timeline" ? (
+        Array.from({ length: stepCount }, (_, i) => renderStep(i))
+      ) : (
+        <>
+          {renderStep(step)}
+          <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+            <button className="btn" disabled={step === 0} onClick={() => { setPlaying(false); setStep(step - 1); }}>◀ Back</button>
+            <button className="btn" disabled={step >= lastStep} onClick={() => setPlaying(!playing)}>
+              {playing ? "⏸ Pause" : "▶ Play"}
+            </button>
+            <button className="btn" disabled={step >= lastStep} onClick={() => { setPlaying(false); setStep(step + 1); }}>Next ▶</button>
+            <span style={{ fontSize: 12, color: "#777" }}>{step + 1} / {stepCount}</span>
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+
+// Mirrors DEFAULT_SCORING in backend/seasons.js
+const DEFAULT_SCORING = { finalMix: 3, perVote: 1, winner: 5, played: 0 };
+
+const SCORING_LABELS = {
+  finalMix: "Song in the final mix",
+  perVote: "Per final vote",
+  winner: "Winning the game",
+  played: "Playing a game",
+};
+
+/**
+ * SeasonPanel
+ *
+ * Run a season from the home view: set one up with a roster and scoring rules (using the
+ * password, alias and game settings above), then start each week's game for it.
+ *
+ * Props:
+ *  - season: { id, name } of the season this device organizes, or null
+ *  - onCreate: called with { name, roster, scoring }; resolves to the server's reply ({ ok })
+ *  - onStartGame: starts the season's next game under the Game ID above
+ *  - onShowStandings: opens the standings
+ *  - onForget: drops the season from this device
+ */
+export default function SeasonPanel({ season, onCreate, onStartGame, onShowStandings, onForget }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [roster, setRoster] = useState("");
+  const [scoring, setScoring] = useState(DEFAULT_SCORING);
+
+  if (season) {
+    return (
+      <div style={{ margin: "0.5rem 0", padding: "0.5rem", border: "1px solid #ddd", borderRadius: "6px", background: "#fff" }}>
+        🏅 Season <strong>{season.name}</strong> <span style={{ fontSize: 12, color: "#777" }}>({season.id})</span>
+        <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+          <button className="btn" onClick={onStartGame}>Start next season game</button>
+          <button className="btn" onClick={onShowStandings}>Standings</button>
+          <button
+            className="btn"
+            onClick={() => {
+              if (window.confirm("Forget this season on this device? You won't be able to start its games from here.")) onForget();
+            }}
+          >
+            Forget
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!open) {
+    return <button className="btn" onClick={() => setOpen(true)}>🏅 Start a season</button>;
+  }
+
+  const submit = async e => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const aliases = roster.split(/[,\n]/).map(a => a.trim()).filter(Boolean);
+    const reply = await onCreate({ name, roster: aliases, scoring });
+    if (reply?.ok) setOpen(false);
+  };
+
+  return (
+    <form onSubmit={submit} style={{ margin: "0.5rem 0", padding: "0.5rem", border: "1px solid #ddd", borderRadius: "6px", background: "#fff" }}>
+      <h3 style={{ marginTop: 0 }}>🏅 New season</h3>
+      <p style={{ fontSize: 12, color: "#777", marginTop: 0 }}>
+        Every season game uses the password, your alias and the game settings above.
+      </p>
+      <input value={name} onChange={e => setName(e.target.value)} placeholder="Season name" maxLength={40} className="input" />
+      <textarea
+        value={roster}
+        onChange={e => setRoster(e.target.value)}
+        placeholder="Roster: everyone else's alias, separated by commas"
+        rows={2}
+        className="input"
+        style={{ width: "100%" }}
+      />
+      {Object.keys(DEFAULT_SCORING).map(rule => (
+        <label key={rule} style={{ display: "block" }}>
+          {SCORING_LABELS[rule]}:{" "}
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={scoring[rule]}
+            onChange={e => setScoring({ ...scoring, [rule]: Number(e.target.value) })}
+            className="input"
+            style={{ width: 60 }}
+          />{" "}
+          points
+        </label>
+      ))}
+      <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
+        <button className="btn" type="submit">Create season</button>
+        <button className="btn" type="button" onClick={() => setOpen(false)}>Cancel</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+
+/**
+ * SeasonStandings
+ *
+ * The season table: points, games, wins, final-mix songs and votes for everyone on the
+ * roster, best first, with the scoring rules underneath.
+ *
+ * Props:
+ *  - season: { name, standings, scoring, results } as sent by the server
+ *  - alias: the current player's alias, to highlight their row
+ */
+export default function SeasonStandings({ season, alias }) {
+  if (!season) return null;
+  const { scoring } = season;
+
+  return (
+    <div style={{ margin: "1rem auto", maxWidth: 520, textAlign: "left" }}>
+      <h3>🏅 {season.name} — standings after {season.results.length} game{season.results.length === 1 ? "" : "s"}</h3>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid #ccc" }}>
+            <th style={{ textAlign: "left" }}>#</th>
+            <th style={{ textAlign: "left" }}>Player</th>
+            <th>Points</th>
+            <th>Games</th>
+            <th>Wins</th>
+            <th>Final mix</th>
+            <th>Votes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {season.standings.map((row, i) => (
+            <tr key={row.alias} style={{ borderBottom: "1px solid #eee", fontWeight: row.alias === alias ? 600 : 400 }}>
+              <td>{i + 1}</td>
+              <td>{row.alias}</td>
+              <td style={{ textAlign: "center" }}>{row.points}</td>
+              <td style={{ textAlign: "center" }}>{row.games}</td>
+              <td style={{ textAlign: "center" }}>{row.wins}</td>
+              <td style={{ textAlign: "center" }}>{row.finalMix}</td>
+              <td style={{ textAlign: "center" }}>{row.votes}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: 12, color: "#777" }}>
+        Scoring: {scoring.finalMix} for a song in the final mix, {scoring.perVote} per final vote,{" "}
+        {scoring.winner} for the win{scoring.played ? `, ${scoring.played} for playing` : ""}.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+
+const PROVIDERS = {
+  youtube: { label: "YouTube", color: "#c00" },
+  spotify: { label: "Spotify", color: "#1db954" },
+  soundcloud: { label: "SoundCloud", color: "#f50" },
+  apple: { label: "Apple Music", color: "#fa243c" },
+  bandcamp: { label: "Bandcamp", color: "#1da0c3" },
+};
+
+/**
+ * Player URL for providers that offer one; Bandcamp needs a numeric id we don't have.
+ */
+function embedUrl({ link, provider, providerId, providerKind }) {
+  if (provider === "youtube" && providerId) return { src: `https://www.youtube-nocookie.com/embed/${providerId}`, height: 200 };
+  if (provider === "spotify" && providerId) {
+    return { src: `https://open.spotify.com/embed/${providerKind || "track"}/${providerId}`, height: providerKind === "track" ? 80 : 152 };
+  }
+  if (provider === "soundcloud") return { src: `https://w.soundcloud.com/player/?url=${encodeURIComponent(link)}&visual=false`, height: 120 };
+  if (provider === "apple") return { src: link.replace("https://music.apple.com/", "https://embed.music.apple.com/"), height: 175 };
+  return null;
+}
+
+/**
+ * SongLink
+ *
+ * A song's link as a provider badge, with an inline player for providers that have one.
+ * Renders nothing when the song has no link.
+ *
+ * Props:
+ *  - song: { link, provider, providerId, providerKind } (provider fields come from the server)
+ *  - embed: offer the inline player (default true); false shows just the badge / link
+ */
+export default function SongLink({ song, embed = true }) {
+  const [playing, setPlaying] = useState(false);
+  if (!song?.link) return null;
+
+  const known = PROVIDERS[song.provider];
+  const player = embed ? embedUrl(song) : null;
+
+  return (
+    <span className="song-link">
+      {" "}
+      <a
+        href={song.link}
+        target="_blank"
+        rel="noopener noreferrer"
+        style={known ? {
+          fontSize: 12,
+          color: "#fff",
+          background: known.color,
+          borderRadius: 4,
+          padding: "1px 6px",
+          textDecoration: "none",
+        } : undefined}
+      >
+        {known ? known.label : "Listen"}
+      </a>
+      {player && (
+        <button
+          className="btn"
+          onClick={e => { e.preventDefault(); setPlaying(p => !p); }}
+          style={{ marginLeft: 4, fontSize: 12 }}
+        >
+          {playing ? "Hide player" : "▶ Play"}
+        </button>
+      )}
+      {playing && player && (
+        <iframe
+          title={`${known?.label || "Song"} player`}
+          src={player.src}
+          width="100%"
+          height={player.height}
+          frameBorder="0"
+          allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture"
+          loading="lazy"
+          style={{ display: "block", marginTop: 4, borderRadius: 8 }}
+        />
+      )}
+    </span>
+  );
+}
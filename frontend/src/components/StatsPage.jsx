@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from "react";
+import { BACKEND_URL } from "../config";
+
+/**
+ * StatsPage
+ *
+ * A profile's lifetime stats across every finished game it played: record, how its songs
+ * fared, how it voted, the artists it cuts most and its grudges against other players.
+ *
+ * Props:
+ *  - profileId: the profile to show
+ *  - onBack: leaves the page
+ */
+export default function StatsPage({ profileId, onBack }) {
+  const [data, setData] = useState(null); // { profile, stats }
+  const [status, setStatus] = useState("Loading...");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${BACKEND_URL}/api/profiles/${encodeURIComponent(profileId)}`)
+      .then(async res => {
+        const body = await res.json();
+        if (cancelled) return;
+        if (!res.ok) return setStatus(body.error || "Couldn't load these stats.");
+        setData(body);
+        setStatus("");
+      })
+      .catch(err => {
+        console.error("Loading stats failed", err);
+        if (!cancelled) setStatus("Couldn't reach the server to load these stats.");
+      });
+    return () => { cancelled = true; };
+  }, [profileId]);
+
+  const back = <button className="btn" onClick={onBack}>◀ Back</button>;
+  if (!data) return <div>{back}<p>{status}</p></div>;
+
+  const { profile, stats } = data;
+  const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : "—");
+  const row = (label, value) => (
+    <tr key={label}>
+      <td style={{ padding: "2px 12px 2px 0", color: "#555" }}>{label}</td>
+      <td style={{ fontWeight: 600 }}>{value}</td>
+    </tr>
+  );
+
+  return (
+    <div style={{ textAlign: "left" }}>
+      {back}
+      <h2>📊 {profile.name}</h2>
+      <p style={{ fontSize: 12, color: "#777" }}>Playing since {new Date(profile.createdAt).toLocaleDateString()}</p>
+
+      {stats.gamesPlayed === 0 ? (
+        <p style={{ fontStyle: "italic" }}>No finished games yet — stats show up once a game you played ends.</p>
+      ) : (
+        <>
+          <table>
+            <tbody>
+              {row("Games played", stats.gamesPlayed)}
+              {row("Wins", `${stats.wins} (${percent(stats.wins, stats.gamesPlayed)})`)}
+              {row("Songs submitted", stats.songsSubmitted)}
+              {row("Average rounds survived per song", stats.averageRoundsSurvived ?? "—")}
+              {row("Songs in the final mix", stats.finalMixAppearances)}
+              {row("Final votes received", stats.votesReceived)}
+              {row("Voted for the winner", `${stats.votedForWinner} of ${stats.votesCast}`)}
+              {row("Eliminations made", stats.eliminationsGiven)}
+              {row("Songs eliminated by others", stats.eliminationsReceived)}
+            </tbody>
+          </table>
+
+          {stats.favoriteEliminatedArtists.length > 0 && (
+            <>
+              <h3>✂️ Artists you cut most</h3>
+              <ol>
+                {stats.favoriteEliminatedArtists.map(({ artist, count }) => (
+                  <li key={artist}>{artist} ({count})</li>
+                ))}
+              </ol>
+            </>
+          )}
+
+          {stats.grudges.length > 0 && (
+            <>
+              <h3>⚔️ Grudges</h3>
+              <ul style={{ listStyle: "none", padding: 0 }}>
+                {stats.grudges.map(g => (
+                  <li key={g.profileId || `alias:${g.opponent}`}>
+                    <strong>{g.opponent}</strong>: you cut {g.given} of theirs, they cut {g.received} of yours
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <h3>🕹️ Recent games</h3>
+          <ul style={{ listStyle: "none", padding: 0 }}>
+            {stats.recentGames.map(game => (
+              <li key={game.gameId}>
+                {game.won ? "🏆" : "•"} {game.gameId} as {game.alias} — {game.players} players, {game.rounds} round(s)
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
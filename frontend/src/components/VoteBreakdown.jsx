@@ -0,0 +1,62 @@
+import React from "react";
+
+const METHOD_LABELS = {
+  plurality: "Plurality (most votes wins)",
+  ranked: "Ranked choice (instant runoff)",
+  borda: "Borda count (points per ranking)",
+  approval: "Approval voting",
+};
+
+/**
+ * VoteBreakdown
+ *
+ * Explains how the final-mix winner was chosen: every count of the main vote and any runoffs.
+ *
+ * Props:
+ *  - finalResults: { results, tally, method, tied, stages: [{ runoff, method, candidates, ballots, rounds }] }
+ *  - finalMix: final-mix entries ({ playlistIndex, originAlias, song }) used to name the songs
+ */
+export default function VoteBreakdown({ finalResults, finalMix = [] }) {
+  const stages = finalResults?.stages || [];
+  if (stages.length === 0) return null;
+
+  const songName = playlistIndex => {
+    const entry = finalMix.find(e => e.playlistIndex === Number(playlistIndex));
+    return entry ? `${entry.song.title} (${entry.originAlias})` : `Playlist ${Number(playlistIndex) + 1}`;
+  };
+  const unit = method => (method === "borda" ? "pts" : "votes");
+
+  return (
+    <div className="vote-breakdown" style={{ textAlign: "left", margin: "1rem auto", maxWidth: 520 }}>
+      <h3>How the winner was chosen</h3>
+      <p>Method: {METHOD_LABELS[finalResults.method] || finalResults.method}</p>
+
+      {stages.map((stage, s) => (
+        <div key={s} style={{ marginBottom: 8 }}>
+          <strong>
+            {stage.runoff ? `Runoff ${stage.runoff} (tie-break, one pick each)` : "Main vote"} — {stage.ballots} ballot(s)
+          </strong>
+          {stage.rounds.map((round, r) => (
+            <div key={r} style={{ marginLeft: 12 }}>
+              {stage.rounds.length > 1 && <em>Round {r + 1}</em>}
+              <ul style={{ margin: "2px 0" }}>
+                {Object.entries(round.counts)
+                  .sort(([, a], [, b]) => b - a)
+                  .map(([playlistIndex, count]) => (
+                    <li key={playlistIndex}>
+                      {songName(playlistIndex)}: {count} {unit(stage.method)}
+                      {round.eliminated?.includes(Number(playlistIndex)) && " — knocked out"}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      {finalResults.tied && (
+        <p>🤝 {stages.length > 1 ? "Still level after the runoff" : "A tie for first"} — the win is shared.</p>
+      )}
+    </div>
+  );
+}
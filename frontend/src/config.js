@@ -0,0 +1,2 @@
+// Where the backend lives; set REACT_APP_BACKEND_URL to point a local build at a local server
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'https://music-madness-project-backend.onrender.com';
@@ -0,0 +1,52 @@
+// Talking to the server: every client event is sent with an acknowledgement callback, and the
+// server answers { ok: true, ... } or { ok: false, error: { code, message, field } } (see backend/protocol.js)
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Extra advice for errors where the message alone doesn't say what to do next
+const HINTS = {
+  UNAUTHORIZED: "Try reloading the page to restore your session.",
+  SESSION_EXPIRED: "Join the game again with your alias.",
+  GAME_NOT_FOUND: "Check the game ID.",
+  SEASON_NOT_FOUND: "Check the season ID, or start a new season.",
+  WRONG_PASSWORD: "Check the password with the host.",
+  ALIAS_TAKEN: "Pick a different alias.",
+  TIMEOUT: "Check your connection and try again.",
+  RATE_LIMITED: "Slow down a little, then try again.",
+  TOO_MANY_GAMES: "Finish or end one of your games first.",
+  PAYLOAD_TOO_LARGE: "Try a shorter playlist or comment.",
+  DISCONNECTED: "Reload the page to reconnect.",
+  INTERNAL: "Please try again.",
+};
+
+/**
+ * Emit an event and wait for the server's answer. Never rejects: a server that doesn't answer
+ * in time resolves to a TIMEOUT error like any other.
+ */
+export function request(socket, event, payload) {
+  return new Promise(resolve => {
+    socket.timeout(REQUEST_TIMEOUT_MS).emit(event, payload, (err, reply) => {
+      if (err) {
+        resolve({ ok: false, error: { code: "TIMEOUT", message: "The server didn't answer", field: null } });
+      } else {
+        resolve(reply || { ok: true });
+      }
+    });
+  });
+}
+
+/**
+ * Readable name for an error's field, e.g. "playlist.2.link" -> "Song 3 link".
+ */
+export function describeField(field) {
+  if (!field) return null;
+  const song = field.match(/^playlist\.(\d+)(?:\.(\w+))?$/);
+  if (song) return `Song ${Number(song[1]) + 1}${song[2] ? ` ${song[2]}` : ""}`;
+  if (field === "comment") return "Commentary";
+  if (field === "chosen") return "Ballot";
+  return null;
+}
+
+export function errorHint(error) {
+  return HINTS[error?.code] || null;
+}